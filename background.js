@@ -4,203 +4,1671 @@
  * Note: No longer uses OAuth or YouTube API - data is scraped from Watch Later page
  */
 
-// Cache configuration
-const CACHE_KEY = 'watchLaterData';
+importScripts('storageSchema.js');
+
+// Cache configuration - one cache per YouTube account, keyed by a hash of
+// its ytcfg DATASYNC_ID (brand channels get their own)
+const CACHE_KEY_PREFIX = 'watchLaterData:';
+const ACTIVE_ACCOUNT_KEY = 'activeAccount'; // Cache key of the account last seen in a YouTube tab
 const DEFAULT_CACHE_TTL = 20 * 60 * 1000; // 20 minutes in milliseconds
+const MAX_REMOVAL_LOG_ENTRIES = 200;
+const MAX_CHANGE_LOG_ENTRIES = 50; // Recent edits replayed onto late snapshots
+
+// Headless refresh (offscreen.html)
+const WATCH_LATER_URL = 'https://www.youtube.com/playlist?list=WL';
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+const OFFSCREEN_SCRAPE_TIMEOUT = 30 * 1000; // 30 seconds
+const OFFSCREEN_REPORT_MARGIN = 2 * 1000; // The document stops fetching pages this long before the timeout
+
+// Scheduled refresh (chrome.alarms)
+const REFRESH_ALARM_NAME = 'watchLaterRefresh';
+const REFRESH_STATE_KEY = 'refreshState';
+const REFRESH_AT_TTL_FRACTION = 0.8; // Refresh before the cache expires
+const MIN_REFRESH_DELAY = 0.5; // minutes (Chrome's alarm floor)
+const MAX_REFRESH_BACKOFF = 60; // minutes
+const ACTIVITY_WINDOW = 2 * 60 * 60 * 1000; // Pause after 2 hours without YouTube use
+const ACTIVITY_WRITE_INTERVAL = 60 * 1000; // Record activity at most once a minute
+const STALE_REFRESH_INTERVAL = 60 * 1000; // Expired data triggers at most one refresh a minute
+
+// Toolbar badge
+const SHELF_VIEWED_KEY = 'shelfViewedAt'; // When each account's shelf was last seen, by cache key
+const SHELF_PREFS_KEY = 'shelfPrefs'; // Videos hidden from / pinned to the shelf, by cache key
+
+// Watch progress recorded on /watch pages (watchPage.js) - local only
+const WATCH_PROGRESS_KEY = 'watchProgress'; // Playback positions, by cache key then video id
+const MAX_PROGRESS_ENTRIES = 500; // Per account; least recently watched dropped first
+const FINISHED_PROGRESS = 95; // Percent watched that counts as finished
+const BADGE_STALE_ALARM_NAME = 'badgeStale';
+const BADGE_COLOR = '#cc0000';
+const BADGE_STALE_COLOR = '#909090'; // Cache past its TTL
+const MAX_BADGE_COUNT = 999;
+
+// Play all / Shuffle queues (chrome.storage.session, one per tab)
+const PLAY_QUEUE_KEY_PREFIX = 'playQueue:';
+
+// Automatic removals a watch page closed on before making (chrome.storage.session, one per account)
+const PENDING_REMOVALS_KEY_PREFIX = 'pendingRemovals:';
+const PENDING_REMOVAL_MAX_AGE = 60 * 60 * 1000; // ms; the video may have been saved again since
+
+// Keyboard commands (manifest.json "commands")
+const COMMAND_OPEN_NEXT = 'open-next-video';
+const COMMAND_TOGGLE_SHELF = 'toggle-shelf';
+const COMMAND_REFRESH = 'refresh-watch-later';
+const COMMAND_FOCUS_SHELF = 'focus-shelf';
 
 // Settings keys and defaults
 const SETTINGS_KEY = 'settings';
+const SETTINGS_MODIFIED_KEY = 'settingsModified'; // Per-field modification times, for sync conflicts
+const SETTINGS_SYNC_RETRY_ALARM = 'settingsSyncRetry';
+const SETTINGS_SYNC_RETRY_DELAY = 5; // minutes
 const DEFAULT_SETTINGS = {
     enabled: true,
     itemCount: 5,
     cacheTTL: 20, // minutes
     thumbnailSize: 'compact', // 'compact' (210px) or 'large' (360px)
-    sortOrder: 'descending', // 'descending' (newest first) or 'ascending' (oldest first)
+    sortOrder: 'descending', // 'descending' (recently saved first) or 'ascending' (saved longest ago first)
     showEmptyState: true,
-    autoRefresh: true // Auto-refresh when visiting Watch Later page
+    autoRefresh: true, // Auto-refresh when visiting Watch Later page
+    backgroundRefresh: true, // Refresh on a timer before the cache expires
+    unavailableVideos: 'hide', // 'hide' or 'dim' (greyed out with a remove hint)
+    finishedVideos: 'show', // 'show', 'hide' or 'end' (moved behind unfinished videos)
+    continueWatching: true, // Started, unfinished videos get their own row
+    autoRemoveFinished: false, // Remove videos from Watch Later once watched past autoRemoveThreshold
+    autoRemoveThreshold: 90, // percent
+    autoRemoveExceptions: [], // Channel names or UC… ids whose videos are never auto-removed
+    upNextPanel: true, // "Next in Watch Later" panel in the watch page sidebar
+    autoplayWatchLater: false, // Play the next Watch Later video when one ends
+    badgeMode: 'total' // 'off', 'total' (cached videos) or 'new' (saved since the shelf was last seen)
 };
 
 /**
- * Get Watch Later data from storage
- * @returns {Promise<Object|null>} Scraped Watch Later data or null
+ * Derive the cache key for a YouTube account
+ * Only a hash of the account id is ever stored
+ * @param {string|null} accountId - ytcfg DATASYNC_ID, null when signed out
+ * @returns {Promise<string|null>} Cache key, or null when signed out or unknown
+ */
+async function getCacheKey(accountId) {
+    if (typeof accountId !== 'string' || !accountId) {
+        return null;
+    }
+
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(accountId));
+    const hash = Array.from(new Uint8Array(digest).slice(0, 16))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+
+    return CACHE_KEY_PREFIX + hash;
+}
+
+/**
+ * Remember which account the user is browsing YouTube with
+ * @param {string|null} cacheKey - null when signed out
+ */
+async function setActiveAccount(cacheKey) {
+    const result = await chrome.storage.local.get(ACTIVE_ACCOUNT_KEY);
+    if (result[ACTIVE_ACCOUNT_KEY] !== cacheKey) {
+        await chrome.storage.local.set({ [ACTIVE_ACCOUNT_KEY]: cacheKey });
+        console.log(`[Data] Active account ${cacheKey ? 'changed' : 'signed out'}`);
+        updateBadge();
+    }
+}
+
+/**
+ * Get the cache key of the account last seen in a YouTube tab
+ * @returns {Promise<string|null>}
+ */
+async function getActiveCacheKey() {
+    const result = await chrome.storage.local.get(ACTIVE_ACCOUNT_KEY);
+    return result[ACTIVE_ACCOUNT_KEY] || null;
+}
+
+/**
+ * Get Watch Later data from storage
+ * Data past its TTL or from a partial scrape with no complete list under it
+ * is still returned, flagged stale, so callers can show it while a refresh
+ * runs
+ * @param {string|null} cacheKey - Account cache key from getCacheKey()
+ * @returns {Promise<Object|null>} Scraped Watch Later data with { stale, age }, or null
+ */
+async function getWatchLaterData(cacheKey) {
+    try {
+        // Signed out - never fall back to another account's list
+        if (!cacheKey) {
+            return null;
+        }
+
+        const result = await chrome.storage.local.get(cacheKey);
+        const data = result[cacheKey];
+
+        if (!data) {
+            console.log('[Data] No Watch Later data in storage for this account');
+            return null;
+        }
+
+        // Check if data is still valid (within TTL)
+        const settings = await getSettings();
+        const ttl = (settings.cacheTTL || 20) * 60 * 1000;
+        const age = Date.now() - data.timestamp;
+
+        // A partial snapshot saved without a complete list to merge onto is
+        // new but may be missing videos, so it is served as stale until a
+        // complete scrape replaces it
+        const stale = age > ttl || data.complete === false;
+        if (age > ttl) {
+            console.log(`[Data] Cached data expired (age: ${Math.round(age / 1000)}s, TTL: ${Math.round(ttl / 1000)}s)`);
+        } else if (stale) {
+            console.log('[Data] Cached data is from a partial scrape');
+        }
+
+        console.log(`[Data] Returning ${stale ? 'stale' : 'cached'} data: ${data.videos?.length || 0} videos`);
+        return { ...data, stale, age };
+
+    } catch (error) {
+        console.error('[Data] Error getting Watch Later data:', error);
+        return null;
+    }
+}
+
+/**
+ * Filter cached videos for display on the shelf
+ * Runs before the item-count limit so hidden videos don't leave gaps
+ * @param {Array} videos - Cached videos, with `finished` from applyWatchProgress()
+ * @param {Object} settings - Settings
+ * @returns {Array}
+ */
+function filterShelfVideos(videos, settings) {
+    let shown = videos;
+
+    if (settings.unavailableVideos !== 'dim') {
+        // Caches from before availability tracking have no status
+        shown = shown.filter(video => !video.availability || video.availability === 'available');
+    }
+
+    if (settings.finishedVideos === 'hide') {
+        shown = shown.filter(video => !video.finished);
+    } else if (settings.finishedVideos === 'end') {
+        shown = [...shown.filter(video => !video.finished), ...shown.filter(video => video.finished)];
+    }
+
+    return shown;
+}
+
+/**
+ * Get an account's recorded watch progress
+ * @param {string} cacheKey - Account cache key from getCacheKey()
+ * @returns {Promise<Object>} { [videoId]: { position, duration, finished, updatedAt } }
+ */
+async function getWatchProgress(cacheKey) {
+    const result = await chrome.storage.local.get(WATCH_PROGRESS_KEY);
+    return result[WATCH_PROGRESS_KEY]?.[cacheKey] || {};
+}
+
+/**
+ * Merge locally recorded progress into cached videos
+ * Local progress wins unless a scrape has seen the video since (YouTube's
+ * own progress then covers the same viewing, and any on other devices).
+ * Every video gets `finished`, `resumeAt` (seconds, null when unknown) and
+ * `watchedAt` (ms epoch, null when only a scrape knows the progress)
+ * @param {Array} videos - Cached videos
+ * @param {Object} progress - From getWatchProgress()
+ * @returns {Array}
+ */
+function applyWatchProgress(videos, progress) {
+    return videos.map(video => {
+        const entry = progress[video.videoId];
+
+        if (entry && (entry.updatedAt > (video.lastSeenAt || 0) || typeof video.watchProgress !== 'number')) {
+            return {
+                ...video,
+                watchProgress: Math.min(100, entry.position / entry.duration * 100),
+                lengthSeconds: video.lengthSeconds ?? entry.duration,
+                finished: entry.finished,
+                resumeAt: entry.position,
+                watchedAt: entry.updatedAt
+            };
+        }
+
+        const percent = video.watchProgress ?? 0;
+        return {
+            ...video,
+            finished: percent >= FINISHED_PROGRESS,
+            resumeAt: percent > 0 && video.lengthSeconds ? Math.floor(video.lengthSeconds * percent / 100) : null,
+            watchedAt: null
+        };
+    });
+}
+
+/**
+ * Pick started, unfinished videos for the "Continue watching" row
+ * Most recently watched first; videos whose progress only a scrape knows
+ * have no watch time and follow in shelf order. Pinned videos stay put
+ * @param {Array} videos - Videos in shelf order, from getShelfVideos()
+ * @returns {Array}
+ */
+function getContinueWatching(videos) {
+    return videos
+        .filter(video => !video.finished && !video.pinned && video.watchProgress > 0 &&
+            (!video.availability || video.availability === 'available'))
+        .map((video, index) => ({ video, index }))
+        .sort((a, b) => ((b.video.watchedAt || 0) - (a.video.watchedAt || 0)) || (a.index - b.index))
+        .map(entry => entry.video);
+}
+
+/**
+ * Record how far a Watch Later video has been watched
+ * Videos not in the account's cached list are ignored
+ * @param {string} cacheKey - Account cache key from getCacheKey()
+ * @param {{videoId: string, position: number, duration: number, ended: boolean}} report
+ * @returns {Promise<Object>} { success, recorded, video } - video is the cached entry
+ */
+function recordWatchProgress(cacheKey, report) {
+    return enqueueWrite(async () => {
+        const result = await chrome.storage.local.get([WATCH_PROGRESS_KEY, cacheKey]);
+        const cachedVideos = result[cacheKey]?.videos || [];
+        const video = cachedVideos.find(cached => cached.videoId === report.videoId);
+
+        if (!video) {
+            return { success: true, recorded: false };
+        }
+
+        const allProgress = result[WATCH_PROGRESS_KEY] || {};
+        const previous = allProgress[cacheKey]?.[report.videoId];
+        const entry = {
+            position: Math.floor(report.position),
+            duration: Math.round(report.duration),
+            finished: report.ended || report.position / report.duration * 100 >= FINISHED_PROGRESS,
+            updatedAt: Date.now()
+        };
+
+        // Bounded history: keep the most recently watched
+        const entries = Object.entries({ ...allProgress[cacheKey], [report.videoId]: entry })
+            .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+            .slice(0, MAX_PROGRESS_ENTRIES);
+
+        await chrome.storage.local.set({
+            [WATCH_PROGRESS_KEY]: { ...allProgress, [cacheKey]: Object.fromEntries(entries) }
+        });
+
+        // Finishing (or restarting) a video can change what shelves show
+        if (previous?.finished !== entry.finished && (entry.finished || previous)) {
+            console.log(`[Data] ${report.videoId} ${entry.finished ? 'finished' : 'no longer finished'}`);
+            notifyDataRefreshed(cachedVideos.length);
+            updateBadge();
+        }
+
+        return { success: true, recorded: true, video };
+    });
+}
+
+/**
+ * Check whether a watched video is due for automatic removal from Watch Later
+ * Exceptions match the channel name (case-insensitive) or its UC… id
+ * @param {Object} video - Cached video
+ * @param {{position: number, duration: number, ended: boolean}} report
+ * @param {Object} settings
+ * @returns {boolean}
+ */
+function shouldAutoRemove(video, report, settings) {
+    const percent = report.ended ? 100 : report.position / report.duration * 100;
+    if (!settings.autoRemoveFinished || percent < settings.autoRemoveThreshold) {
+        return false;
+    }
+
+    const channel = [video.channelTitle, video.channelId].filter(Boolean).map(name => name.toLowerCase());
+    const exceptions = Array.isArray(settings.autoRemoveExceptions) ? settings.autoRemoveExceptions : [];
+    return !exceptions.some(exception => channel.includes(String(exception).trim().toLowerCase()));
+}
+
+/**
+ * Sort cached videos by when they were saved
+ * Uses firstSeenAt, falling back to playlist position (YouTube appends new
+ * saves at the end) for ties and caches without timestamps
+ * @param {Array} videos - Cached videos in playlist order
+ * @param {string} sortOrder - 'descending' or 'ascending'
+ * @returns {Array}
+ */
+function sortShelfVideos(videos, sortOrder) {
+    const sorted = videos
+        .map((video, index) => ({ video, index }))
+        .sort((a, b) => ((a.video.firstSeenAt || 0) - (b.video.firstSeenAt || 0)) || (a.index - b.index))
+        .map(entry => entry.video);
+
+    return sortOrder === 'descending' ? sorted.reverse() : sorted;
+}
+
+/**
+ * Get an account's hidden and pinned videos
+ * @param {string} cacheKey - Account cache key from getCacheKey()
+ * @returns {Promise<{hidden: Array<string>, pinned: Array<string>}>} Video ids, newest first
+ */
+async function getShelfPrefs(cacheKey) {
+    const result = await chrome.storage.local.get(SHELF_PREFS_KEY);
+    return { hidden: [], pinned: [], ...result[SHELF_PREFS_KEY]?.[cacheKey] };
+}
+
+/**
+ * Drop hidden videos and move pinned ones to the front (latest pin first)
+ * Pinned videos are flagged `pinned` for the card menu
+ * @param {Array} videos - Sorted, filtered videos
+ * @param {{hidden: Array<string>, pinned: Array<string>}} prefs
+ * @returns {Array}
+ */
+function applyShelfPrefs(videos, prefs) {
+    const hidden = new Set(prefs.hidden);
+    const pinnedIds = new Set(prefs.pinned);
+    const visible = videos.filter(video => !hidden.has(video.videoId));
+
+    const pinned = prefs.pinned
+        .map(videoId => visible.find(video => video.videoId === videoId))
+        .filter(Boolean)
+        .map(video => ({ ...video, pinned: true }));
+
+    return [...pinned, ...visible.filter(video => !pinnedIds.has(video.videoId))];
+}
+
+/**
+ * Get cached videos in shelf order: local watch progress merged in,
+ * sorted, filtered, hidden and pinned videos applied. Not limited to the
+ * shelf's item count
+ * @param {string} cacheKey - Account cache key from getCacheKey()
+ * @param {Array} videos - Cached videos in playlist order
+ * @param {Object} settings - Settings
+ * @returns {Promise<Array>}
+ */
+async function getShelfVideos(cacheKey, videos, settings) {
+    const withProgress = applyWatchProgress(videos, await getWatchProgress(cacheKey));
+    const sorted = sortShelfVideos(withProgress, settings.sortOrder);
+    return applyShelfPrefs(filterShelfVideos(sorted, settings), await getShelfPrefs(cacheKey));
+}
+
+/**
+ * Hide/unhide or pin/unpin a video on an account's shelf
+ * Videos no longer in the cached list are forgotten on the way
+ * @param {string} cacheKey - Account cache key from getCacheKey()
+ * @param {string|null} videoId - Video to change, null to only apply `unhideAll`
+ * @param {Object} changes - { hidden?: boolean, pinned?: boolean, unhideAll?: boolean }
+ * @returns {Promise<Object>} { success }
+ */
+async function updateShelfPrefs(cacheKey, videoId, changes) {
+    const count = await enqueueWrite(async () => {
+        const result = await chrome.storage.local.get([SHELF_PREFS_KEY, cacheKey]);
+        const allPrefs = result[SHELF_PREFS_KEY] || {};
+        const current = { hidden: [], pinned: [], ...allPrefs[cacheKey] };
+        const cachedIds = new Set((result[cacheKey]?.videos || []).map(video => video.videoId));
+        const prefs = {};
+
+        for (const field of ['hidden', 'pinned']) {
+            const ids = current[field].filter(id => cachedIds.has(id) && id !== videoId);
+            const wasSet = current[field].includes(videoId);
+            const isSet = field in changes ? changes[field] : wasSet;
+            prefs[field] = isSet && videoId ? [videoId, ...ids] : ids;
+        }
+        if (changes.unhideAll) {
+            prefs.hidden = [];
+        }
+
+        await chrome.storage.local.set({ [SHELF_PREFS_KEY]: { ...allPrefs, [cacheKey]: prefs } });
+        console.log(`[Data] Shelf preferences: ${prefs.hidden.length} hidden, ${prefs.pinned.length} pinned`);
+        return cachedIds.size;
+    });
+
+    notifyDataRefreshed(count);
+    updateBadge();
+    return { success: true };
+}
+
+/**
+ * Check if Watch Later data exists, is within its TTL and is complete
+ * @returns {Promise<boolean>}
+ */
+async function hasValidData() {
+    const data = await getWatchLaterData(await getActiveCacheKey());
+    return data !== null && !data.stale;
+}
+
+/**
+ * Clear cached Watch Later data for every account
+ */
+async function clearData() {
+    try {
+        await enqueueWrite(async () => {
+            const keys = Object.keys(await chrome.storage.local.get(null))
+                .filter(key => key.startsWith(CACHE_KEY_PREFIX));
+            await chrome.storage.local.remove(keys);
+        });
+        console.log('[Data] Cleared Watch Later data');
+        updateBadge();
+        return true;
+    } catch (error) {
+        console.error('[Data] Error clearing data:', error);
+        return false;
+    }
+}
+
+// All writes to the Watch Later cache run one at a time through this queue
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a cache write after every previously queued write has finished
+ * The service worker is the only writer, so read-modify-write cycles from
+ * different tabs can't interleave
+ * @param {Function} task - Async function performing the write
+ * @returns {Promise<*>} The task's result
+ */
+function enqueueWrite(task) {
+    const run = writeQueue.then(task);
+    writeQueue = run.catch(() => { });
+    return run;
+}
+
+/**
+ * Stamp snapshot videos with first/last seen times
+ * Watch Later exposes no "date added", so the first scrape that sees a
+ * video stands in for it
+ * @param {Array} videos - Freshly scraped videos
+ * @param {Array} cached - Videos currently in storage
+ * @param {number} now - Scrape time
+ * @returns {Array}
+ */
+function annotateSeenTimes(videos, cached, now) {
+    const previous = new Map(cached.map(v => [v.videoId, v]));
+
+    return videos.map(video => ({
+        ...video,
+        firstSeenAt: previous.get(video.videoId)?.firstSeenAt ?? now,
+        lastSeenAt: now
+    }));
+}
+
+/**
+ * Keep cached videos that a partial scrape never reached
+ * Cached items after the last scraped video are assumed to live on the
+ * pages that failed to load, so they are appended in their cached order
+ * @param {Array} scraped - Videos from the partial scrape
+ * @param {Array} cached - Videos currently in storage
+ * @returns {Array}
+ */
+function mergePartialScrape(scraped, cached) {
+    const scrapedIds = new Set(scraped.map(v => v.videoId));
+
+    let tailStart = 0;
+    cached.forEach((video, index) => {
+        if (scrapedIds.has(video.videoId)) {
+            tailStart = index + 1;
+        }
+    });
+
+    const tail = cached.slice(tailStart).filter(v => !scrapedIds.has(v.videoId));
+    return [...scraped, ...tail];
+}
+
+/**
+ * Prepend removed videos to the removal log
+ * @param {Array} removed - Videos that left Watch Later
+ * @param {Array} removals - Existing removal log (newest first)
+ * @param {number} now - Removal time
+ * @returns {Array} Updated removal log
+ */
+function logRemovals(removed, removals, now) {
+    const entries = removed.map(video => ({
+        videoId: video.videoId,
+        title: video.title,
+        channelTitle: video.channelTitle,
+        firstSeenAt: video.firstSeenAt ?? null,
+        removedAt: now
+    }));
+
+    return [...entries, ...removals].slice(0, MAX_REMOVAL_LOG_ENTRIES);
+}
+
+/**
+ * Move a playlist entry as described by a YouTube move action
+ * @param {Array} videos - Current list
+ * @param {{setVideoId: string, predecessor?: string|null, successor?: string|null}} move
+ * @returns {Array} Reordered list (unchanged if the entry is unknown)
+ */
+function applyMove(videos, move) {
+    const moving = videos.find(v => v.setVideoId === move.setVideoId);
+    if (!moving) {
+        return videos;
+    }
+
+    const rest = videos.filter(v => v !== moving);
+
+    if ('predecessor' in move) {
+        // No predecessor means "move to the top"
+        const index = move.predecessor ? rest.findIndex(v => v.setVideoId === move.predecessor) : -1;
+        rest.splice(index + 1, 0, moving);
+    } else {
+        // No successor means "move to the end"
+        const index = move.successor ? rest.findIndex(v => v.setVideoId === move.successor) : -1;
+        rest.splice(index === -1 ? rest.length : index, 0, moving);
+    }
+
+    return rest;
+}
+
+/**
+ * Apply incremental changes to a video list
+ * @param {Array} videos - Current list
+ * @param {Object} changes
+ * @param {Array<string>} [changes.removedIds] - Removed video ids
+ * @param {Array<string>} [changes.removedSetVideoIds] - Removed playlist entry ids
+ * @param {Array} [changes.added] - New video records, appended (YouTube appends new saves)
+ * @param {Array} [changes.restored] - { video, index } entries put back where they were
+ *     (a failed removal rolled back); the record keeps its seen times
+ * @param {Array} [changes.moves] - Move actions for applyMove()
+ * @param {number} now - Change time
+ * @returns {{videos: Array, removed: Array}}
+ */
+function applyChangesToList(videos, changes, now) {
+    const { removedIds = [], removedSetVideoIds = [], added = [], restored = [], moves = [] } = changes;
+
+    const removed = videos.filter(v => removedIds.includes(v.videoId) ||
+        (v.setVideoId && removedSetVideoIds.includes(v.setVideoId)));
+
+    let next = videos.filter(v => !removed.includes(v));
+
+    const existingIds = new Set(next.map(v => v.videoId));
+    for (const { video, index } of restored) {
+        if (!existingIds.has(video.videoId)) {
+            existingIds.add(video.videoId);
+            next.splice(Math.min(index, next.length), 0, video);
+        }
+    }
+
+    for (const video of added) {
+        if (!existingIds.has(video.videoId)) {
+            existingIds.add(video.videoId);
+            next.push({ ...video, firstSeenAt: now, lastSeenAt: now });
+        }
+    }
+
+    for (const move of moves) {
+        next = applyMove(next, move);
+    }
+
+    return { videos: next, removed };
+}
+
+/**
+ * Check if two video lists hold the same videos in the same order
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {boolean}
+ */
+function isSameOrder(a, b) {
+    return a.length === b.length && a.every((video, index) => video.videoId === b[index].videoId);
+}
+
+/**
+ * Store a full scrape of the playlist
+ *
+ * Merge policy:
+ * - A snapshot captured before the stored one is stale and rejected
+ * - A partial snapshot keeps cached videos beyond the pages it reached,
+ *   and the result stays complete when the cached list was
+ * - Edits applied after the snapshot was captured are replayed onto it,
+ *   including the sender's own: capturedAt is when the page data was
+ *   produced, not when it was scraped. Replaying an edit the snapshot
+ *   already holds changes nothing.
+ *
+ * @param {string} cacheKey - Account cache key from getCacheKey()
+ * @param {Object} snapshot - { videos, complete, totalCount, strategy, capturedAt, source }
+ * @returns {Promise<Object>} { success, revision, stale? }
+ */
+function saveWatchLaterSnapshot(cacheKey, snapshot) {
+    return enqueueWrite(async () => {
+        const result = await chrome.storage.local.get(cacheKey);
+        const current = result[cacheKey] || null;
+        const currentRevision = current?.revision || 0;
+
+        if (current && snapshot.capturedAt <= current.timestamp) {
+            console.warn(`[Data] Rejected stale snapshot (captured ${new Date(snapshot.capturedAt).toISOString()}, ` +
+                `stored ${new Date(current.timestamp).toISOString()})`);
+            return { success: false, stale: true, revision: currentRevision };
+        }
+
+        const now = Date.now();
+        const cached = current?.videos || [];
+        let videos = annotateSeenTimes(snapshot.videos, cached, now);
+        let complete = snapshot.complete;
+
+        // A partial scrape must never shrink a more complete cached list.
+        // The offscreen refresh can't sign continuation requests, so a long
+        // list is usually refreshed this way
+        if (!snapshot.complete && cached.length > videos.length) {
+            videos = mergePartialScrape(videos, cached);
+            complete = current.complete !== false;
+            console.log(`[Data] Partial snapshot merged with cache: ${snapshot.videos.length} scraped + ` +
+                `${videos.length - snapshot.videos.length} cached`);
+        }
+
+        // Edits made while this snapshot was being captured
+        const missedChanges = (current?.changeLog || [])
+            .filter(entry => entry.at > snapshot.capturedAt)
+            .reverse();
+        for (const entry of missedChanges) {
+            videos = applyChangesToList(videos, entry.changes, entry.at).videos;
+        }
+        if (missedChanges.length > 0) {
+            console.log(`[Data] Replayed ${missedChanges.length} newer edit(s) onto snapshot`);
+        }
+
+        const currentIds = new Set(videos.map(v => v.videoId));
+        const removed = cached.filter(v => !currentIds.has(v.videoId));
+
+        const data = {
+            videos,
+            timestamp: snapshot.capturedAt,
+            updatedAt: now,
+            revision: currentRevision + 1,
+            source: snapshot.source || 'scraper',
+            strategy: snapshot.strategy,
+            complete,
+            totalCount: snapshot.totalCount ?? null,
+            removals: logRemovals(removed, current?.removals || [], now),
+            changeLog: current?.changeLog || []
+        };
+
+        await chrome.storage.local.set({ [cacheKey]: data });
+        console.log(`[Data] Saved snapshot: ${videos.length} videos (revision ${data.revision}, strategy: ${data.strategy})`);
+
+        notifyDataRefreshed(videos.length);
+        updateBadge();
+
+        // YouTube is reachable again; next refresh counts from this snapshot
+        updateRefreshState({ failures: 0 }).then(scheduleRefresh);
+
+        return { success: true, revision: data.revision };
+    });
+}
+
+/**
+ * Apply incremental edits (saves, removals, moves) to the cached list
+ * The cache TTL is left alone - only a full snapshot refreshes it
+ * @param {string} cacheKey - Account cache key from getCacheKey()
+ * @param {Object} changes - See applyChangesToList()
+ * @returns {Promise<Object>} { success, changed, revision, videos?, removed? } -
+ *     removed lists { video, index } for undoing with `restored`
+ */
+function applyWatchLaterChanges(cacheKey, changes) {
+    return enqueueWrite(async () => {
+        const result = await chrome.storage.local.get(cacheKey);
+        const current = result[cacheKey];
+
+        // Without a first scrape there is no list to edit
+        if (!current || !Array.isArray(current.videos)) {
+            console.log('[Data] No cached list yet, ignoring edit');
+            return { success: true, changed: false, revision: 0 };
+        }
+
+        const now = Date.now();
+        const { videos, removed } = applyChangesToList(current.videos, changes, now);
+
+        if (isSameOrder(videos, current.videos)) {
+            return { success: true, changed: false, revision: current.revision || 0, videos };
+        }
+
+        const revision = (current.revision || 0) + 1;
+        const data = {
+            ...current,
+            videos,
+            updatedAt: now,
+            revision,
+            removals: logRemovals(removed, current.removals || [], now),
+            changeLog: [{ revision, at: now, changes }, ...(current.changeLog || [])].slice(0, MAX_CHANGE_LOG_ENTRIES)
+        };
+
+        await chrome.storage.local.set({ [cacheKey]: data });
+        console.log(`[Data] Applied edit: ${current.videos.length} → ${videos.length} videos (revision ${revision})`);
+
+        notifyDataRefreshed(videos.length);
+        updateBadge();
+        return {
+            success: true,
+            changed: true,
+            revision,
+            videos,
+            removed: removed.map(video => ({ video, index: current.videos.indexOf(video) }))
+        };
+    });
+}
+
+/**
+ * Tell all YouTube tabs that the cached list changed
+ * @param {number} count - Number of cached videos
+ */
+async function notifyDataRefreshed(count) {
+    const tabs = await chrome.tabs.query({ url: '*://www.youtube.com/*' });
+    console.log(`[Background] Notifying ${tabs.length} YouTube tabs about data refresh`);
+
+    for (const tab of tabs) {
+        console.log(`[Background] Sending DATA_REFRESHED to tab ${tab.id} (${tab.url})`);
+        chrome.tabs.sendMessage(tab.id, {
+            type: 'DATA_REFRESHED',
+            count: count
+        }).catch((err) => {
+            console.log(`[Background] Could not send to tab ${tab.id}:`, err.message);
+        });
+    }
+}
+
+/**
+ * Tell all YouTube tabs whether a refresh is running
+ * @param {boolean} refreshing
+ */
+async function notifyRefreshStatus(refreshing) {
+    const tabs = await chrome.tabs.query({ url: '*://www.youtube.com/*' });
+
+    for (const tab of tabs) {
+        chrome.tabs.sendMessage(tab.id, {
+            type: 'REFRESH_STATUS',
+            refreshing
+        }).catch(() => {
+            // Ignore tabs without content script
+        });
+    }
+}
+
+/**
+ * Count videos saved since the shelf was last seen
+ * Before the shelf has ever been seen, videos from the first scrape don't count
+ * @param {Array} videos - Cached videos
+ * @param {number|undefined} viewedAt - When the shelf was last seen (ms epoch)
+ * @returns {number}
+ */
+function countNewVideos(videos, viewedAt) {
+    const since = viewedAt ?? Math.min(...videos.map(video => video.firstSeenAt || 0));
+    return videos.filter(video => (video.firstSeenAt || 0) > since).length;
+}
+
+/**
+ * Show the active account's Watch Later count on the toolbar badge
+ * Greyed out once the cache has expired; an alarm updates it at expiry
+ */
+async function updateBadge() {
+    try {
+        const settings = await getSettings();
+        const cacheKey = await getActiveCacheKey();
+        const data = settings.badgeMode !== 'off' ? await getWatchLaterData(cacheKey) : null;
+
+        await chrome.alarms.clear(BADGE_STALE_ALARM_NAME);
+
+        if (!data || !Array.isArray(data.videos)) {
+            await chrome.action.setBadgeText({ text: '' });
+            await chrome.action.setTitle({ title: chrome.runtime.getManifest().action.default_title });
+            return;
+        }
+
+        // Count what the shelf would show
+        const videos = await getShelfVideos(cacheKey, data.videos, settings);
+        let count = videos.length;
+        if (settings.badgeMode === 'new') {
+            const result = await chrome.storage.local.get(SHELF_VIEWED_KEY);
+            count = countNewVideos(videos, result[SHELF_VIEWED_KEY]?.[cacheKey]);
+        }
+
+        const text = settings.badgeMode === 'new' && count === 0 ? ''
+            : count > MAX_BADGE_COUNT ? `${MAX_BADGE_COUNT}+` : String(count);
+
+        await chrome.action.setBadgeText({ text });
+        await chrome.action.setBadgeBackgroundColor({ color: data.stale ? BADGE_STALE_COLOR : BADGE_COLOR });
+        await chrome.action.setTitle({
+            title: `${count}${settings.badgeMode === 'new' ? ' new' : ''} in Watch Later` +
+                (data.stale ? ' (out of date)' : '')
+        });
+
+        if (!data.stale) {
+            chrome.alarms.create(BADGE_STALE_ALARM_NAME, { when: data.timestamp + settings.cacheTTL * 60 * 1000 });
+        }
+    } catch (error) {
+        console.error('[Badge] Error updating badge:', error);
+    }
+}
+
+/**
+ * Record that an account's shelf was seen, clearing its "new" count
+ * @param {string} cacheKey - Account cache key from getCacheKey()
+ */
+async function markShelfViewed(cacheKey) {
+    await enqueueWrite(async () => {
+        const result = await chrome.storage.local.get(SHELF_VIEWED_KEY);
+        await chrome.storage.local.set({
+            [SHELF_VIEWED_KEY]: { ...result[SHELF_VIEWED_KEY], [cacheKey]: Date.now() }
+        });
+    });
+    await updateBadge();
+}
+
+// Scrapes waiting for OFFSCREEN_SCRAPE_COMPLETE, by request id
+const pendingScrapes = new Map();
+
+// Running refresh, shared by overlapping callers
+let refreshInProgress = null;
+
+// When expired data last triggered a refresh (ms epoch)
+let lastStaleRefreshAt = 0;
+
+/**
+ * Check if a refresh source is allowed
+ * Besides the real playlist, only local fixture servers are accepted
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isAllowedRefreshSource(url) {
+    if (url === WATCH_LATER_URL) {
+        return true;
+    }
+
+    try {
+        const { protocol, hostname } = new URL(url);
+        return (protocol === 'http:' || protocol === 'https:') &&
+            (hostname === 'localhost' || hostname === '127.0.0.1');
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Scrape a Watch Later page in the offscreen document
+ * Resolves once the document reports completion, or with a failure after
+ * OFFSCREEN_SCRAPE_TIMEOUT. The document is given a deadline inside that
+ * time, so a long playlist comes back partial rather than timing out
+ * @param {string} sourceUrl - Page to scrape
+ * @returns {Promise<Object>} { status: 'complete'|'partial'|'failed', videos, totalCount, capturedAt, accountId, error? }
+ */
+async function runOffscreenScrape(sourceUrl) {
+    if (!(await chrome.offscreen.hasDocument())) {
+        await chrome.offscreen.createDocument({
+            url: OFFSCREEN_DOCUMENT_PATH,
+            reasons: ['DOM_PARSER'],
+            justification: 'Parse the Watch Later page to refresh the cached playlist'
+        });
+    }
+
+    const requestId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+    const completion = new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            pendingScrapes.delete(requestId);
+            resolve({ status: 'failed', videos: [], totalCount: null, error: 'Timed out waiting for scrape' });
+        }, OFFSCREEN_SCRAPE_TIMEOUT);
+
+        pendingScrapes.set(requestId, (result) => {
+            clearTimeout(timer);
+            resolve(result);
+        });
+    });
+
+    await chrome.runtime.sendMessage({
+        type: 'OFFSCREEN_SCRAPE',
+        requestId,
+        sourceUrl,
+        deadline: Date.now() + OFFSCREEN_SCRAPE_TIMEOUT - OFFSCREEN_REPORT_MARGIN
+    });
+    return completion;
+}
+
+/**
+ * Refresh Watch Later data without opening a tab
+ * The playlist is scraped in an offscreen document and saved like any
+ * other snapshot. Partial results are saved too (merged with the cache).
+ * The offscreen document gets the default account's playlist, so the
+ * refresh fails when YouTube tabs use another account.
+ * Pass a local fixture URL (e.g. mock-watch-later.html served on
+ * localhost) to exercise the pipeline from the service worker console.
+ * @param {string} [sourceUrl] - Page to scrape
+ * @returns {Promise<Object>} { success, status, count?, error? }
+ */
+function refreshWatchLaterData(sourceUrl = WATCH_LATER_URL) {
+    if (!isAllowedRefreshSource(sourceUrl)) {
+        return Promise.resolve({ success: false, status: 'failed', error: 'Refresh source not allowed' });
+    }
+
+    // Coalesce overlapping requests (options page + shelf)
+    if (refreshInProgress) {
+        return refreshInProgress;
+    }
+
+    notifyRefreshStatus(true);
+
+    refreshInProgress = (async () => {
+        try {
+            console.log(`[Refresh] Scraping ${sourceUrl} offscreen...`);
+            const result = await runOffscreenScrape(sourceUrl);
+
+            if (result.status === 'failed') {
+                console.warn('[Refresh] Offscreen scrape failed:', result.error);
+                return { success: false, status: 'failed', error: result.error };
+            }
+
+            // The fetched page belongs to the browser's default YouTube account
+            const cacheKey = await getCacheKey(result.accountId);
+            if (!cacheKey) {
+                return { success: false, status: 'failed', error: 'Signed out of YouTube' };
+            }
+
+            // The shelf and the schedule follow the account used in YouTube
+            // tabs; another account's list would leave that one stale
+            const activeKey = await getActiveCacheKey();
+            if (activeKey && cacheKey !== activeKey) {
+                console.warn('[Refresh] Fetched playlist belongs to another YouTube account, not saving');
+                return { success: false, status: 'failed', error: 'YouTube served another account\'s playlist' };
+            }
+
+            const saved = await saveWatchLaterSnapshot(cacheKey, {
+                videos: result.videos,
+                complete: result.status === 'complete',
+                totalCount: result.totalCount,
+                strategy: 'offscreen',
+                capturedAt: result.capturedAt,
+                source: 'offscreen'
+            });
+
+            console.log(`[Refresh] ${result.status} scrape: ${result.videos.length} videos` +
+                (saved.stale ? ' (cache already newer)' : ''));
+            return { success: true, status: result.status, count: result.videos.length };
+
+        } catch (error) {
+            console.error('[Refresh] Error refreshing data:', error);
+            return { success: false, status: 'failed', error: error.message };
+        } finally {
+            chrome.offscreen.closeDocument().catch(() => { });
+        }
+    })().finally(() => {
+        refreshInProgress = null;
+        notifyRefreshStatus(false);
+    });
+
+    return refreshInProgress;
+}
+
+/**
+ * Start a refresh for data served past its TTL
+ * Throttled so a failing refresh isn't retried on every page load
+ * @returns {boolean} Whether a refresh is running
+ */
+function revalidateStaleData() {
+    if (!refreshInProgress && Date.now() - lastStaleRefreshAt >= STALE_REFRESH_INTERVAL) {
+        lastStaleRefreshAt = Date.now();
+        console.log('[Refresh] Serving stale data, refreshing in the background');
+        refreshWatchLaterData();
+    }
+
+    return refreshInProgress !== null;
+}
+
+/**
+ * Read the scheduled refresh state
+ * @returns {Promise<{failures: number, lastActivityAt: number}>}
+ */
+async function getRefreshState() {
+    const result = await chrome.storage.local.get(REFRESH_STATE_KEY);
+    return { failures: 0, lastActivityAt: 0, ...result[REFRESH_STATE_KEY] };
+}
+
+/**
+ * Update the scheduled refresh state
+ * @param {Object} changes - Fields to overwrite
+ */
+async function updateRefreshState(changes) {
+    const state = await getRefreshState();
+    await chrome.storage.local.set({ [REFRESH_STATE_KEY]: { ...state, ...changes } });
+}
+
+/**
+ * (Re)schedule the next background refresh
+ * Normally fires at REFRESH_AT_TTL_FRACTION of the cache TTL; after failed
+ * refreshes it backs off exponentially. Nothing is scheduled while no
+ * YouTube tab has been used within ACTIVITY_WINDOW - recordActivity()
+ * resumes it.
+ */
+async function scheduleRefresh() {
+    try {
+        const settings = await getSettings();
+        const state = await getRefreshState();
+
+        if (!settings.backgroundRefresh) {
+            await chrome.alarms.clear(REFRESH_ALARM_NAME);
+            return;
+        }
+
+        if (Date.now() - state.lastActivityAt > ACTIVITY_WINDOW) {
+            await chrome.alarms.clear(REFRESH_ALARM_NAME);
+            console.log('[Schedule] No recent YouTube activity, background refresh paused');
+            return;
+        }
+
+        let delay;
+        if (state.failures > 0) {
+            delay = Math.min(MAX_REFRESH_BACKOFF, MIN_REFRESH_DELAY * 2 ** state.failures);
+        } else {
+            const cacheKey = await getActiveCacheKey();
+            const result = cacheKey ? await chrome.storage.local.get(cacheKey) : {};
+            const timestamp = result[cacheKey]?.timestamp || 0;
+            const refreshAt = timestamp + settings.cacheTTL * 60 * 1000 * REFRESH_AT_TTL_FRACTION;
+            delay = Math.max(MIN_REFRESH_DELAY, (refreshAt - Date.now()) / 60000);
+        }
+
+        await chrome.alarms.create(REFRESH_ALARM_NAME, { delayInMinutes: delay });
+        console.log(`[Schedule] Next refresh in ${delay.toFixed(1)} min` +
+            (state.failures > 0 ? ` (backing off after ${state.failures} failure(s))` : ''));
+    } catch (error) {
+        console.error('[Schedule] Error scheduling refresh:', error);
+    }
+}
+
+/**
+ * Run a refresh when the alarm fires and schedule the next one
+ */
+async function runScheduledRefresh() {
+    const state = await getRefreshState();
+    if (Date.now() - state.lastActivityAt > ACTIVITY_WINDOW) {
+        console.log('[Schedule] No recent YouTube activity, skipping refresh');
+        return;
+    }
+
+    const result = await refreshWatchLaterData();
+
+    // A successful save resets the backoff itself
+    if (!result.success) {
+        // Offline, signed out or YouTube unreachable - retry later and later
+        await updateRefreshState({ failures: state.failures + 1 });
+    }
+
+    await scheduleRefresh();
+}
+
+/**
+ * Note that a YouTube tab is in use, resuming paused refreshes
+ */
+async function recordActivity() {
+    const state = await getRefreshState();
+    const now = Date.now();
+
+    if (now - state.lastActivityAt < ACTIVITY_WRITE_INTERVAL) {
+        return;
+    }
+
+    await updateRefreshState({ lastActivityAt: now });
+
+    const alarm = await chrome.alarms.get(REFRESH_ALARM_NAME);
+    if (!alarm) {
+        await scheduleRefresh();
+    }
+}
+
+/**
+ * Get settings from storage or return defaults
+ * Reads the local copy, which always mirrors the synced settings
+ * @returns {Promise<Object>} Settings object
+ */
+async function getSettings() {
+    try {
+        const result = await chrome.storage.local.get(SETTINGS_KEY);
+        const settings = result[SETTINGS_KEY];
+
+        if (settings && typeof settings === 'object') {
+            // Merge with defaults to handle any missing keys
+            return { ...DEFAULT_SETTINGS, ...settings };
+        }
+
+        console.log('[Settings] Using default settings');
+        return { ...DEFAULT_SETTINGS };
+
+    } catch (error) {
+        console.error('[Settings] Error reading settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Clamp numeric settings to their allowed ranges, and tidy the channel
+ * exception list
+ * @param {Object} settings
+ * @returns {Object}
+ */
+function clampSettings(settings) {
+    const clamped = { ...settings };
+
+    if (typeof clamped.itemCount === 'number') {
+        clamped.itemCount = Math.max(3, Math.min(10, clamped.itemCount));
+    }
+
+    if (typeof clamped.cacheTTL === 'number') {
+        clamped.cacheTTL = Math.max(1, Math.min(1440, clamped.cacheTTL)); // 1 min to 24 hours
+    }
+
+    if (typeof clamped.autoRemoveThreshold === 'number') {
+        clamped.autoRemoveThreshold = Math.max(50, Math.min(100, clamped.autoRemoveThreshold));
+    }
+
+    if (Array.isArray(clamped.autoRemoveExceptions)) {
+        clamped.autoRemoveExceptions = [...new Set(clamped.autoRemoveExceptions
+            .filter(channel => typeof channel === 'string')
+            .map(channel => channel.trim())
+            .filter(Boolean))];
+    }
+
+    return clamped;
+}
+
+/**
+ * Check if two values of one setting are equal
+ * List settings are rebuilt by clampSettings(), so they compare by content
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isSameSettingValue(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, index) => item === b[index]);
+    }
+    return a === b;
+}
+
+/**
+ * Read settings and their per-field modification times from a storage area
+ * @param {chrome.storage.StorageArea} area - chrome.storage.local or chrome.storage.sync
+ * @returns {Promise<{values: Object, modified: Object}>}
+ */
+async function readSettingsRecord(area) {
+    const result = await area.get([SETTINGS_KEY, SETTINGS_MODIFIED_KEY]);
+    return {
+        values: result[SETTINGS_KEY] || {},
+        modified: result[SETTINGS_MODIFIED_KEY] || {}
+    };
+}
+
+/**
+ * Merge two settings records field by field, newest modification wins
+ * Fields never modified (time 0) take whichever side has a value, local first
+ * @param {{values: Object, modified: Object}} local
+ * @param {{values: Object, modified: Object}} remote
+ * @returns {{values: Object, modified: Object}}
+ */
+function mergeSettingsRecords(local, remote) {
+    const values = {};
+    const modified = {};
+
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+        const localTime = local.modified[key] || 0;
+        const remoteTime = remote.modified[key] || 0;
+        const useRemote = remoteTime > localTime || (remoteTime === localTime && !(key in local.values));
+        const source = useRemote ? remote : local;
+
+        if (key in source.values) {
+            values[key] = source.values[key];
+            modified[key] = Math.max(localTime, remoteTime);
+        }
+    }
+
+    return { values, modified };
+}
+
+/**
+ * Check if two settings records hold the same values and times
+ * @param {{values: Object, modified: Object}} a
+ * @param {{values: Object, modified: Object}} b
+ * @returns {boolean}
+ */
+function isSameSettingsRecord(a, b) {
+    return Object.keys(DEFAULT_SETTINGS).every(key =>
+        isSameSettingValue(a.values[key], b.values[key]) && (a.modified[key] || 0) === (b.modified[key] || 0));
+}
+
+/**
+ * Write a settings record to chrome.storage.sync
+ * Too-large records and quota or rate-limit errors leave the settings
+ * local-only; a retry is scheduled for the latter
+ * @param {{values: Object, modified: Object}} record
+ * @returns {Promise<boolean>} Whether the record was synced
+ */
+async function pushSettingsToSync(record) {
+    const size = new TextEncoder().encode(SETTINGS_KEY + JSON.stringify(record.values)).length;
+    if (size > chrome.storage.sync.QUOTA_BYTES_PER_ITEM) {
+        console.warn(`[Settings] Settings too large to sync (${size} bytes), keeping them local`);
+        return false;
+    }
+
+    try {
+        await chrome.storage.sync.set({
+            [SETTINGS_KEY]: record.values,
+            [SETTINGS_MODIFIED_KEY]: record.modified
+        });
+        return true;
+    } catch (error) {
+        // Quota, write rate limit, or sync unavailable
+        console.warn('[Settings] Could not sync settings, will retry:', error.message);
+        chrome.alarms.create(SETTINGS_SYNC_RETRY_ALARM, { delayInMinutes: SETTINGS_SYNC_RETRY_DELAY });
+        return false;
+    }
+}
+
+/**
+ * Tell all YouTube tabs about new settings
+ * @param {Object} settings - Full settings object
+ */
+async function notifySettingsUpdated(settings) {
+    const tabs = await chrome.tabs.query({ url: '*://www.youtube.com/*' });
+    for (const tab of tabs) {
+        chrome.tabs.sendMessage(tab.id, {
+            type: 'SETTINGS_UPDATED',
+            settings
+        }).catch(() => {
+            // Ignore errors for tabs without content script
+        });
+    }
+}
+
+/**
+ * Store new local settings and let everything that depends on them know
+ * @param {{values: Object, modified: Object}} record
+ */
+async function applySettingsRecord(record) {
+    await chrome.storage.local.set({
+        [SETTINGS_KEY]: record.values,
+        [SETTINGS_MODIFIED_KEY]: record.modified
+    });
+
+    // TTL, background refresh or badge mode may have changed
+    scheduleRefresh();
+    updateBadge();
+    notifySettingsUpdated({ ...DEFAULT_SETTINGS, ...record.values });
+}
+
+/**
+ * Change settings locally and sync them
+ * @param {Object} changes - Fields to change
+ * @param {boolean} touchAll - Stamp every field, even unchanged ones (reset)
+ * @returns {Promise<Object>} The full new settings
+ */
+function updateSettings(changes, touchAll) {
+    return enqueueWrite(async () => {
+        const local = await readSettingsRecord(chrome.storage.local);
+        const current = { ...DEFAULT_SETTINGS, ...local.values };
+        const values = clampSettings({ ...current, ...changes });
+        const modified = { ...local.modified };
+
+        const now = Date.now();
+        for (const key of Object.keys(DEFAULT_SETTINGS)) {
+            if (touchAll || !isSameSettingValue(values[key], current[key])) {
+                modified[key] = now;
+            }
+        }
+
+        const record = { values, modified };
+        await applySettingsRecord(record);
+
+        // Fields changed on another browser in the meantime keep their value
+        try {
+            const remote = await readSettingsRecord(chrome.storage.sync);
+            await pushSettingsToSync(mergeSettingsRecords(record, remote));
+        } catch (error) {
+            console.warn('[Settings] Sync storage unavailable, settings kept local:', error.message);
+        }
+
+        return values;
+    });
+}
+
+/**
+ * Merge settings synced from other browsers into the local copy
+ * Runs on startup and whenever chrome.storage.sync changes
+ */
+function syncSettings() {
+    return enqueueWrite(async () => {
+        const local = await readSettingsRecord(chrome.storage.local);
+        const remote = await readSettingsRecord(chrome.storage.sync);
+        const merged = mergeSettingsRecords(local, remote);
+
+        if (!isSameSettingsRecord(merged, local)) {
+            console.log('[Settings] Applying settings changed on another browser');
+            await applySettingsRecord(merged);
+        }
+
+        if (!isSameSettingsRecord(merged, remote)) {
+            await pushSettingsToSync(merged);
+        }
+    }).catch(error => {
+        console.warn('[Settings] Could not read synced settings:', error.message);
+    });
+}
+
+/**
+ * Save settings to storage
+ * @param {Object} settings - Settings to save
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveSettings(settings) {
+    try {
+        // Validate settings
+        if (!settings || typeof settings !== 'object') {
+            throw new Error('Invalid settings object');
+        }
+
+        const newSettings = await updateSettings(settings, false);
+        console.log('[Settings] Settings saved:', newSettings);
+        return true;
+
+    } catch (error) {
+        console.error('[Settings] Error saving settings:', error);
+        return false;
+    }
+}
+
+/**
+ * Reset settings to defaults
+ * The reset is synced like any other change
+ * @returns {Promise<boolean>} Success status
+ */
+async function resetSettings() {
+    try {
+        await updateSettings(DEFAULT_SETTINGS, true);
+        console.log('[Settings] Settings reset to defaults');
+        return true;
+    } catch (error) {
+        console.error('[Settings] Error resetting settings:', error);
+        return false;
+    }
+}
+
+/**
+ * Shuffle a list (Fisher-Yates)
+ * @param {Array} items
+ * @returns {Array} New shuffled list
  */
-async function getWatchLaterData() {
-    try {
-        const result = await chrome.storage.local.get(CACHE_KEY);
-        const data = result[CACHE_KEY];
+function shuffleList(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
 
-        if (!data) {
-            console.log('[Data] No Watch Later data in storage');
-            return null;
-        }
+/**
+ * Start playing an account's Watch Later in shelf order, or shuffled
+ * When the order matches the playlist, YouTube's own WL playlist player is
+ * used; otherwise (descending sort, filtered, shuffled) a queue for the tab
+ * is kept here and watchPage.js advances through it
+ * @param {number} tabId - Tab to play in
+ * @param {string} cacheKey - Account cache key from getCacheKey()
+ * @param {Object} settings - Shelf settings (sort order, filtering)
+ * @param {boolean} shuffle
+ * @returns {Promise<Object>} { success, mode?: 'playlist'|'queue', error? }
+ */
+async function startPlayback(tabId, cacheKey, settings, shuffle) {
+    const data = await getWatchLaterData(cacheKey);
+    if (!data?.videos) {
+        return { success: false, error: 'No data available' };
+    }
 
-        // Check if data is still valid (within TTL)
-        const settings = await getSettings();
-        const ttl = (settings.cacheTTL || 20) * 60 * 1000;
-        const age = Date.now() - data.timestamp;
+    // Same order as the shelf, minus what YouTube can't play
+    const isPlayable = video => !video.availability || video.availability === 'available';
+    const shelfOrder = (await getShelfVideos(cacheKey, data.videos, settings)).filter(isPlayable);
 
-        if (age > ttl) {
-            console.log(`[Data] Cached data expired (age: ${Math.round(age / 1000)}s, TTL: ${Math.round(ttl / 1000)}s)`);
-            return null;
-        }
+    if (shelfOrder.length === 0) {
+        return { success: false, error: 'Nothing to play' };
+    }
 
-        console.log(`[Data] Returning cached data: ${data.videos?.length || 0} videos`);
-        return data;
+    const queueKey = PLAY_QUEUE_KEY_PREFIX + tabId;
 
-    } catch (error) {
-        console.error('[Data] Error getting Watch Later data:', error);
-        return null;
+    if (!shuffle && isSameOrder(shelfOrder, data.videos.filter(isPlayable))) {
+        await chrome.storage.session.remove(queueKey);
+        await chrome.tabs.update(tabId, {
+            url: `https://www.youtube.com/watch?v=${encodeURIComponent(shelfOrder[0].videoId)}&list=WL`
+        });
+        console.log('[Playback] Playing Watch Later playlist');
+        return { success: true, mode: 'playlist' };
     }
+
+    const videoIds = (shuffle ? shuffleList(shelfOrder) : shelfOrder).map(video => video.videoId);
+    await chrome.storage.session.set({ [queueKey]: { videoIds, index: 0 } });
+    await chrome.tabs.update(tabId, {
+        url: `https://www.youtube.com/watch?v=${encodeURIComponent(videoIds[0])}`
+    });
+    console.log(`[Playback] Playing ${videoIds.length} videos from a local queue${shuffle ? ' (shuffled)' : ''}`);
+    return { success: true, mode: 'queue' };
 }
 
 /**
- * Check if Watch Later data exists and is valid
- * @returns {Promise<boolean>}
+ * Get a tab's play queue, following the video it is showing
+ * Opening a video outside the queue ends it
+ * @param {number} tabId
+ * @param {string} videoId - Video open in the tab
+ * @returns {Promise<Object|null>} { position, length }, or null without a queue
  */
-async function hasValidData() {
-    const data = await getWatchLaterData();
-    return data !== null;
+async function getPlayQueue(tabId, videoId) {
+    const queueKey = PLAY_QUEUE_KEY_PREFIX + tabId;
+    const queue = (await chrome.storage.session.get(queueKey))[queueKey];
+    if (!queue) {
+        return null;
+    }
+
+    const index = queue.videoIds.indexOf(videoId);
+    if (index === -1) {
+        await chrome.storage.session.remove(queueKey);
+        console.log(`[Playback] Tab ${tabId} left its queue`);
+        return null;
+    }
+
+    if (index !== queue.index) {
+        await chrome.storage.session.set({ [queueKey]: { ...queue, index } });
+    }
+    return { position: index + 1, length: queue.videoIds.length };
 }
 
 /**
- * Clear cached Watch Later data
+ * Move a tab's play queue past the video that just ended
+ * @param {number} tabId
+ * @param {string} videoId - Video that ended
+ * @returns {Promise<string|null>} URL of the next video, or null when the queue is done
  */
-async function clearData() {
-    try {
-        await chrome.storage.local.remove(CACHE_KEY);
-        console.log('[Data] Cleared Watch Later data');
-        return true;
-    } catch (error) {
-        console.error('[Data] Error clearing data:', error);
-        return false;
+async function advancePlayQueue(tabId, videoId) {
+    const queueKey = PLAY_QUEUE_KEY_PREFIX + tabId;
+    const queue = (await chrome.storage.session.get(queueKey))[queueKey];
+    if (!queue) {
+        return null;
+    }
+
+    const index = queue.videoIds.indexOf(videoId) + 1;
+    if (index === 0 || index >= queue.videoIds.length) {
+        await chrome.storage.session.remove(queueKey);
+        console.log(`[Playback] Tab ${tabId} finished its queue`);
+        return null;
     }
+
+    await chrome.storage.session.set({ [queueKey]: { ...queue, index } });
+    return `https://www.youtube.com/watch?v=${encodeURIComponent(queue.videoIds[index])}`;
 }
 
 /**
- * Request scraper to refresh Watch Later data
- * Opens Watch Later page in background tab to trigger scraper
+ * Keep an automatic removal a watch page handed over as it closed
+ * Its undo window ended with the page, so it is made through the next
+ * YouTube tab signed in to the same account
+ * @param {string} cacheKey - Account cache key from getCacheKey()
+ * @param {Object} video - Cached WatchLaterVideo
+ * @param {number} [queuedAt] - When the page handed it over (ms epoch)
+ * @returns {Promise<void>}
  */
-async function refreshWatchLaterData() {
-    try {
-        console.log('[Refresh] Opening Watch Later page to scrape data...');
+function queuePendingRemoval(cacheKey, video, queuedAt = Date.now()) {
+    const key = PENDING_REMOVALS_KEY_PREFIX + cacheKey;
 
-        // Open Watch Later page in a new tab (will trigger scraper)
-        const tab = await chrome.tabs.create({
-            url: 'https://www.youtube.com/playlist?list=WL',
-            active: false // Don't switch to tab
+    return enqueueWrite(async () => {
+        const queued = (await chrome.storage.session.get(key))[key] || [];
+        await chrome.storage.session.set({
+            [key]: [...queued.filter(entry => entry.video.videoId !== video.videoId), { video, queuedAt }]
         });
+        console.log(`[Data] Queued removal of ${video.videoId} for the next YouTube tab`);
+    });
+}
 
-        // Close the tab after a few seconds (give scraper time to run)
-        setTimeout(async () => {
-            try {
-                await chrome.tabs.remove(tab.id);
-                console.log('[Refresh] Background tab closed');
-            } catch (error) {
-                // Tab may already be closed
-            }
-        }, 3000);
+/**
+ * Take an account's pending removals out of the queue, dropping expired ones
+ * @param {string} cacheKey
+ * @returns {Promise<Array>} [{ video, queuedAt }]
+ */
+function takePendingRemovals(cacheKey) {
+    const key = PENDING_REMOVALS_KEY_PREFIX + cacheKey;
 
-        return { success: true };
+    return enqueueWrite(async () => {
+        const queued = (await chrome.storage.session.get(key))[key];
+        if (!queued) {
+            return [];
+        }
 
-    } catch (error) {
-        console.error('[Refresh] Error refreshing data:', error);
-        return { success: false, error: error.message };
-    }
+        await chrome.storage.session.remove(key);
+        return queued.filter(entry => Date.now() - entry.queuedAt < PENDING_REMOVAL_MAX_AGE);
+    });
 }
 
 /**
- * Get settings from storage or return defaults
- * @returns {Promise<Object>} Settings object
+ * Make queued removals through YouTube tabs signed in to their account
+ * Each tab removes them like its own remove button would
+ * (watchLaterActions.js); removals no tab took stay queued
+ * @param {Array<chrome.tabs.Tab>} [tabs] - Tabs to try; every YouTube tab by default
  */
-async function getSettings() {
-    try {
-        const result = await chrome.storage.local.get(SETTINGS_KEY);
-        const settings = result[SETTINGS_KEY];
+async function deliverPendingRemovals(tabs) {
+    const session = await chrome.storage.session.get(null);
+    if (!Object.keys(session).some(key => key.startsWith(PENDING_REMOVALS_KEY_PREFIX))) {
+        return;
+    }
 
-        if (settings && typeof settings === 'object') {
-            // Merge with defaults to handle any missing keys
-            return { ...DEFAULT_SETTINGS, ...settings };
+    for (const tab of tabs || await chrome.tabs.query({ url: '*://www.youtube.com/*' })) {
+        // Tabs without the content script (the playlist page) don't answer
+        const answer = await chrome.tabs.sendMessage(tab.id, { type: 'GET_ACCOUNT_ID' }).catch(() => null);
+        const cacheKey = await getCacheKey(answer?.accountId);
+        if (!cacheKey) {
+            continue;
         }
 
-        console.log('[Settings] Using default settings');
-        return { ...DEFAULT_SETTINGS };
-
-    } catch (error) {
-        console.error('[Settings] Error reading settings:', error);
-        return { ...DEFAULT_SETTINGS };
+        for (const { video, queuedAt } of await takePendingRemovals(cacheKey)) {
+            const result = await chrome.tabs.sendMessage(tab.id, { type: 'REMOVE_FROM_WATCH_LATER', video }).catch(() => null);
+            if (!result) {
+                // Tab closed meanwhile
+                await queuePendingRemoval(cacheKey, video, queuedAt);
+            } else if (!result.success) {
+                console.warn(`[Data] Queued removal of ${video.videoId} failed:`, result.error);
+            }
+        }
     }
 }
 
 /**
- * Save settings to storage
- * @param {Object} settings - Settings to save
- * @returns {Promise<boolean>} Success status
+ * Open the Watch Later video after the one playing in the tab, or the first
+ * in shelf order. YouTube tabs are reused; other pages stay open
+ * @param {chrome.tabs.Tab} tab - Active tab
  */
-async function saveSettings(settings) {
-    try {
-        // Validate settings
-        if (!settings || typeof settings !== 'object') {
-            throw new Error('Invalid settings object');
-        }
+async function openNextVideo(tab) {
+    const settings = await getSettings();
+    const cacheKey = await getActiveCacheKey();
+    const data = await getWatchLaterData(cacheKey);
+    const isYouTubeTab = /^https:\/\/www\.youtube\.com\//.test(tab?.url || '');
+    let url = WATCH_LATER_URL;
 
-        // Merge with current settings to preserve any unmodified values
-        const currentSettings = await getSettings();
-        const newSettings = { ...currentSettings, ...settings };
+    // Without a cached list, the Watch Later page loads one
+    if (data?.videos) {
+        const videos = (await getShelfVideos(cacheKey, data.videos, settings))
+            .filter(video => !video.availability || video.availability === 'available');
+        const playingId = isYouTubeTab ? new URL(tab.url).searchParams.get('v') : null;
+        const next = videos[videos.findIndex(video => video.videoId === playingId) + 1] || videos[0];
 
-        // Validate specific fields
-        if (typeof newSettings.itemCount === 'number') {
-            newSettings.itemCount = Math.max(3, Math.min(10, newSettings.itemCount));
+        if (next) {
+            url = `https://www.youtube.com/watch?v=${encodeURIComponent(next.videoId)}&list=WL`;
         }
+    }
 
-        if (typeof newSettings.cacheTTL === 'number') {
-            newSettings.cacheTTL = Math.max(1, Math.min(1440, newSettings.cacheTTL)); // 1 min to 24 hours
-        }
+    if (isYouTubeTab) {
+        await chrome.tabs.update(tab.id, { url });
+    } else {
+        await chrome.tabs.create({ url });
+    }
+}
 
-        await chrome.storage.local.set({ [SETTINGS_KEY]: newSettings });
-        console.log('[Settings] Settings saved:', newSettings);
+/**
+ * Playable videos after the open one, for the watch page's "Next in Watch
+ * Later" panel and autoplay
+ * @param {Array} videos - From getShelfVideos(), with finished videos in place
+ * @param {string} videoId - Video open on the watch page
+ * @param {string} finishedVideos - finishedVideos setting; unless 'show',
+ *   finished videos are left out
+ * @returns {{videos: Array, inWatchLater: boolean}} The whole list when
+ *   videoId isn't in it
+ */
+function getUpNext(videos, videoId, finishedVideos) {
+    const playable = videos.filter(video => !video.availability || video.availability === 'available');
+    const index = playable.findIndex(video => video.videoId === videoId);
+    const after = index === -1 ? playable : playable.slice(index + 1);
 
-        // Notify all tabs about settings change
-        const tabs = await chrome.tabs.query({ url: '*://www.youtube.com/*' });
-        for (const tab of tabs) {
-            chrome.tabs.sendMessage(tab.id, {
-                type: 'SETTINGS_UPDATED',
-                settings: newSettings
-            }).catch(() => {
-                // Ignore errors for tabs without content script
-            });
+    return {
+        videos: finishedVideos === 'show' ? after : after.filter(video => !video.finished),
+        inWatchLater: index !== -1
+    };
+}
+
+/**
+ * Run a keyboard command
+ * @param {string} command - Command name from manifest.json
+ * @param {chrome.tabs.Tab} [tab] - Active tab, when Chrome provides one
+ */
+async function runCommand(command, tab) {
+    if (!tab) {
+        [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    }
+
+    switch (command) {
+        case COMMAND_OPEN_NEXT:
+            await openNextVideo(tab);
+            break;
+
+        case COMMAND_TOGGLE_SHELF: {
+            // Through saveSettings so every tab gets SETTINGS_UPDATED
+            const settings = await getSettings();
+            await saveSettings({ enabled: !settings.enabled });
+            console.log(`[Commands] Shelf ${settings.enabled ? 'disabled' : 'enabled'}`);
+            break;
         }
 
-        return true;
+        case COMMAND_REFRESH:
+            await refreshWatchLaterData();
+            break;
 
-    } catch (error) {
-        console.error('[Settings] Error saving settings:', error);
-        return false;
+        case COMMAND_FOCUS_SHELF:
+            if (tab?.id !== undefined) {
+                await chrome.tabs.sendMessage(tab.id, { type: 'FOCUS_SHELF' }).catch(() => {
+                    // Not a YouTube tab
+                });
+            }
+            break;
+
+        default:
+            console.warn('[Commands] Unknown command:', command);
     }
 }
 
 /**
- * Reset settings to defaults
- * @returns {Promise<boolean>} Success status
+ * Bring stored data to the current schema (storageSchema.js)
+ * Runs on install and update, through the write queue so no cache write
+ * lands on half-migrated storage
  */
-async function resetSettings() {
-    try {
-        await chrome.storage.local.set({ [SETTINGS_KEY]: { ...DEFAULT_SETTINGS } });
-        console.log('[Settings] Settings reset to defaults');
+function runStorageMigrations() {
+    return enqueueWrite(async () => {
+        const storage = await chrome.storage.local.get(null);
+        const { storage: migrated, fromVersion, toVersion } = migrateStorage(storage, DEFAULT_SETTINGS);
 
-        // Notify all tabs
-        const tabs = await chrome.tabs.query({ url: '*://www.youtube.com/*' });
-        for (const tab of tabs) {
-            chrome.tabs.sendMessage(tab.id, {
-                type: 'SETTINGS_UPDATED',
-                settings: DEFAULT_SETTINGS
-            }).catch(() => { });
+        const obsoleteKeys = Object.keys(storage).filter(key => !(key in migrated));
+        if (obsoleteKeys.length > 0) {
+            await chrome.storage.local.remove(obsoleteKeys);
         }
+        await chrome.storage.local.set(migrated);
 
-        return true;
-    } catch (error) {
-        console.error('[Settings] Error resetting settings:', error);
-        return false;
-    }
+        console.log(`[Storage] Schema ${fromVersion} → ${toVersion}` +
+            (obsoleteKeys.length > 0 ? `, removed: ${obsoleteKeys.join(', ')}` : ''));
+    }).catch(error => {
+        console.error('[Storage] Migration failed:', error);
+    });
 }
 
 /**
@@ -212,17 +1680,53 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Handle different message types
     switch (message.type) {
         case 'GET_WATCH_LATER':
-            // Get Watch Later data from storage
-            getWatchLaterData().then(data => {
+            // Content scripts report their tab's account; extension pages
+            // (the popup) show the account last seen in a YouTube tab
+            (sender.tab
+                ? getCacheKey(message.accountId).then(async (cacheKey) => {
+                    await setActiveAccount(cacheKey);
+                    return cacheKey;
+                })
+                : getActiveCacheKey()
+            ).then(async (cacheKey) => {
+                if (!cacheKey) {
+                    sendResponse({
+                        success: false,
+                        signedOut: true,
+                        error: 'Signed out'
+                    });
+                    return;
+                }
+
+                const data = await getWatchLaterData(cacheKey);
                 if (data && data.videos) {
-                    const settings = message.settings || { itemCount: 5 };
-                    const videos = data.videos.slice(0, settings.itemCount || 5);
+                    const settings = { ...DEFAULT_SETTINGS, ...message.settings };
+                    const shelfVideos = await getShelfVideos(cacheKey, data.videos, settings);
+                    const limit = settings.itemCount || 5;
+
+                    // The shelf's second row takes started videos out of the first
+                    let mainVideos = shelfVideos;
+                    let continueWatching = [];
+                    if (settings.continueWatching && !message.allItems) {
+                        continueWatching = getContinueWatching(shelfVideos).slice(0, limit);
+                        const continueIds = new Set(continueWatching.map(video => video.videoId));
+                        mainVideos = shelfVideos.filter(video => !continueIds.has(video.videoId));
+                    }
+
+                    const videos = message.allItems ? shelfVideos : mainVideos.slice(0, limit);
+
+                    // Serve expired data right away; fresh cards follow via DATA_REFRESHED
+                    const refreshing = data.stale ? revalidateStaleData() : refreshInProgress !== null;
 
                     sendResponse({
                         success: true,
                         videos: videos,
+                        continueWatching,
                         timestamp: data.timestamp,
-                        fromCache: true
+                        fromCache: true,
+                        stale: data.stale,
+                        age: data.age,
+                        refreshing
                     });
                 } else {
                     sendResponse({
@@ -241,7 +1745,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             return true; // Keep channel open for async response
 
         case 'REFRESH_WATCH_LATER':
-            // Trigger refresh by opening Watch Later page
+            // Headless refresh in the offscreen document
             refreshWatchLaterData().then(result => {
                 sendResponse(result);
             }).catch(error => {
@@ -252,6 +1756,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             });
             return true;
 
+        case 'OFFSCREEN_SCRAPE_COMPLETE':
+            // Result from offscreen.js
+            if (sender.id === chrome.runtime.id && pendingScrapes.has(message.requestId)) {
+                pendingScrapes.get(message.requestId)(message.result);
+                pendingScrapes.delete(message.requestId);
+            }
+            sendResponse({ success: true });
+            return false;
+
         case 'CLEAR_CACHE':
             // Clear cached data
             clearData().then(success => {
@@ -319,24 +1832,227 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             });
             return true;
 
-        case 'WATCH_LATER_UPDATED':
-            // Notify from scraper that data was updated
-            console.log(`[Background] 🔄 Watch Later data updated: ${message.count} videos`);
-
-            // Notify all YouTube tabs to refresh
-            chrome.tabs.query({ url: '*://www.youtube.com/*' }).then(tabs => {
-                console.log(`[Background] Notifying ${tabs.length} YouTube tabs about data refresh`);
-                for (const tab of tabs) {
-                    console.log(`[Background] Sending DATA_REFRESHED to tab ${tab.id} (${tab.url})`);
-                    chrome.tabs.sendMessage(tab.id, {
-                        type: 'DATA_REFRESHED',
-                        count: message.count
-                    }).catch((err) => {
-                        console.log(`[Background] Could not send to tab ${tab.id}:`, err.message);
-                    });
+        case 'SAVE_WATCH_LATER':
+            // Full scrape from the Watch Later page
+            getCacheKey(message.accountId).then(async (cacheKey) => {
+                if (!cacheKey) {
+                    sendResponse({ success: false, error: 'Signed out' });
+                    return;
+                }
+
+                await setActiveAccount(cacheKey);
+                sendResponse(await saveWatchLaterSnapshot(cacheKey, message.snapshot));
+            }).catch(error => {
+                sendResponse({
+                    success: false,
+                    error: error.message
+                });
+            });
+            return true;
+
+        case 'APPLY_WATCH_LATER_CHANGES':
+        case 'WATCH_LATER_ITEM_ADDED':
+        case 'WATCH_LATER_ITEM_REMOVED': {
+            // Incremental edits - from the Watch Later page, or saves/removals
+            // seen elsewhere on YouTube
+            const changes = message.type === 'APPLY_WATCH_LATER_CHANGES' ? message.changes
+                : message.type === 'WATCH_LATER_ITEM_ADDED' ? { added: [message.video] }
+                    : { removedIds: [message.videoId] };
+
+            getCacheKey(message.accountId).then(async (cacheKey) => {
+                if (!cacheKey) {
+                    sendResponse({ success: false, error: 'Signed out' });
+                    return;
+                }
+
+                sendResponse(await applyWatchLaterChanges(cacheKey, changes));
+            }).catch(error => {
+                sendResponse({
+                    success: false,
+                    error: error.message
+                });
+            });
+            return true;
+        }
+
+        case 'SHELF_VIEWED':
+            // The homepage shelf was shown in a foreground tab
+            getCacheKey(message.accountId).then(async (cacheKey) => {
+                if (cacheKey) {
+                    await markShelfViewed(cacheKey);
+                }
+                sendResponse({ success: true });
+            }).catch(error => {
+                sendResponse({
+                    success: false,
+                    error: error.message
+                });
+            });
+            return true;
+
+        case 'UPDATE_SHELF_PREFS':
+            // Hide / pin from a card's menu; the options page unhides
+            // everything for the active account
+            (sender.tab ? getCacheKey(message.accountId) : getActiveCacheKey()).then(async (cacheKey) => {
+                if (!cacheKey) {
+                    sendResponse({ success: false, error: 'Signed out' });
+                    return;
+                }
+
+                sendResponse(await updateShelfPrefs(cacheKey, message.videoId ?? null, message.changes || {}));
+            }).catch(error => {
+                sendResponse({
+                    success: false,
+                    error: error.message
+                });
+            });
+            return true;
+
+        case 'WATCH_PROGRESS':
+            // Playback position from watchPage.js
+            if (typeof message.videoId !== 'string' ||
+                !Number.isFinite(message.position) || message.position < 0 ||
+                !Number.isFinite(message.duration) || message.duration <= 0) {
+                sendResponse({ success: false, error: 'Invalid progress' });
+                return false;
+            }
+
+            getCacheKey(message.accountId).then(async (cacheKey) => {
+                if (!cacheKey) {
+                    sendResponse({ success: false, error: 'Signed out' });
+                    return;
+                }
+
+                const report = {
+                    videoId: message.videoId,
+                    position: Math.min(message.position, message.duration),
+                    duration: message.duration,
+                    ended: message.ended === true
+                };
+                const { video, ...result } = await recordWatchProgress(cacheKey, report);
+
+                // watchPage.js offers an undo before removing it
+                if (video && shouldAutoRemove(video, report, await getSettings())) {
+                    result.autoRemove = video;
+                }
+
+                sendResponse(result);
+            }).catch(error => {
+                sendResponse({
+                    success: false,
+                    error: error.message
+                });
+            });
+            return true;
+
+        case 'QUEUE_WATCH_LATER_REMOVAL':
+            // From watchPage.js, closing while an automatic removal could still be undone
+            if (typeof message.video?.videoId !== 'string') {
+                sendResponse({ success: false, error: 'No video' });
+                return false;
+            }
+
+            getCacheKey(message.accountId).then(async (cacheKey) => {
+                if (!cacheKey) {
+                    sendResponse({ success: false, error: 'Signed out' });
+                    return;
+                }
+
+                await queuePendingRemoval(cacheKey, message.video);
+                sendResponse({ success: true });
+
+                // The sending page is going away; any other tab will do
+                const tabs = await chrome.tabs.query({ url: '*://www.youtube.com/*' });
+                await deliverPendingRemovals(tabs.filter(tab => tab.id !== sender.tab?.id));
+            }).catch(error => {
+                sendResponse({
+                    success: false,
+                    error: error.message
+                });
+            });
+            return true;
+
+        case 'START_PLAYBACK':
+            // Play all / Shuffle from the shelf header
+            getCacheKey(message.accountId).then(async (cacheKey) => {
+                if (!cacheKey || !sender.tab) {
+                    sendResponse({ success: false, error: 'Signed out' });
+                    return;
+                }
+
+                const settings = { ...DEFAULT_SETTINGS, ...message.settings };
+                sendResponse(await startPlayback(sender.tab.id, cacheKey, settings, !!message.shuffle));
+            }).catch(error => {
+                sendResponse({
+                    success: false,
+                    error: error.message
+                });
+            });
+            return true;
+
+        case 'GET_UP_NEXT':
+            // "Next in Watch Later" panel and autoplay, from watchPage.js
+            if (typeof message.videoId !== 'string') {
+                sendResponse({ success: false, error: 'No video' });
+                return false;
+            }
+
+            getCacheKey(message.accountId).then(async (cacheKey) => {
+                const data = await getWatchLaterData(cacheKey);
+                if (!data?.videos) {
+                    sendResponse({ success: false, error: 'No data available' });
+                    return;
                 }
+
+                // Finished videos stay in place so a just-finished one is still found
+                const settings = await getSettings();
+                const ordered = await getShelfVideos(cacheKey, data.videos, { ...settings, finishedVideos: 'show' });
+                const { videos, inWatchLater } = getUpNext(ordered, message.videoId, settings.finishedVideos);
+
+                sendResponse({
+                    success: true,
+                    videos: videos.slice(0, settings.itemCount || 5),
+                    inWatchLater,
+                    showPanel: settings.upNextPanel,
+                    autoplay: settings.autoplayWatchLater
+                });
+            }).catch(error => {
+                sendResponse({
+                    success: false,
+                    error: error.message
+                });
+            });
+            return true;
+
+        case 'GET_PLAY_QUEUE':
+        case 'PLAY_QUEUE_NEXT':
+            // From watchPage.js, for the video open in its tab
+            if (!sender.tab || typeof message.videoId !== 'string') {
+                sendResponse({ success: false, error: 'No video' });
+                return false;
+            }
+
+            (message.type === 'GET_PLAY_QUEUE'
+                ? getPlayQueue(sender.tab.id, message.videoId).then(queue => ({ success: true, queue }))
+                : advancePlayQueue(sender.tab.id, message.videoId).then(url => ({ success: true, url }))
+            ).then(sendResponse).catch(error => {
+                sendResponse({
+                    success: false,
+                    error: error.message
+                });
             });
+            return true;
 
+        case 'YOUTUBE_ACTIVITY':
+            // A YouTube tab was opened or brought back to the foreground
+            recordActivity().catch(error => {
+                console.error('[Schedule] Error recording activity:', error);
+            });
+            if (sender.tab) {
+                deliverPendingRemovals([sender.tab]).catch(error => {
+                    console.error('[Data] Error delivering queued removals:', error);
+                });
+            }
             sendResponse({ success: true });
             return false;
 
@@ -350,5 +2066,51 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
 });
 
+// Scheduled background refresh
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === REFRESH_ALARM_NAME) {
+        runScheduledRefresh().catch(error => {
+            console.error('[Schedule] Scheduled refresh failed:', error);
+        });
+    } else if (alarm.name === SETTINGS_SYNC_RETRY_ALARM) {
+        syncSettings();
+    } else if (alarm.name === BADGE_STALE_ALARM_NAME) {
+        updateBadge();
+    }
+});
+
+// Play queues die with their tab
+chrome.tabs.onRemoved.addListener((tabId) => {
+    chrome.storage.session.remove(PLAY_QUEUE_KEY_PREFIX + tabId);
+});
+
+// Keyboard shortcuts (chrome://extensions/shortcuts)
+chrome.commands.onCommand.addListener((command, tab) => {
+    runCommand(command, tab).catch(error => {
+        console.error(`[Commands] Error running ${command}:`, error);
+    });
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+    runStorageMigrations().then(syncSettings).finally(() => {
+        scheduleRefresh();
+        updateBadge();
+    });
+});
+
+chrome.runtime.onStartup.addListener(() => {
+    syncSettings().finally(() => {
+        scheduleRefresh();
+        updateBadge();
+    });
+});
+
+// Settings changed on another browser (or written by this one)
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && (SETTINGS_KEY in changes || SETTINGS_MODIFIED_KEY in changes)) {
+        syncSettings();
+    }
+});
+
 // Log when service worker starts
 console.log('[Background] Service worker initialized (DOM scraping mode)');
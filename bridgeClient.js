@@ -0,0 +1,154 @@
+/**
+ * Page Bridge Client - Content Script
+ * Receives data relayed by pageBridge.js from the page's main world and
+ * sends it requests. Only well-formed messages from this window are accepted.
+ */
+
+const WLIBridge = (function () {
+    'use strict';
+
+    // Message envelope tags (must match pageBridge.js)
+    const BRIDGE_SOURCE = 'wli-page-bridge';
+    const CLIENT_SOURCE = 'wli-content-script';
+    const DEFAULT_REQUEST_TIMEOUT = 1000; // ms
+    const EDIT_REQUEST_TIMEOUT = 10 * 1000; // ms - waits for YouTube's answer
+
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    // Payload validators per message type; unknown types are dropped
+    const VALIDATORS = {
+        PAGE_DATA: payload => typeof payload.url === 'string' &&
+            (payload.data === null || isObject(payload.data)) &&
+            (payload.config === null || isObject(payload.config)) &&
+            (payload.capturedAt === null || Number.isFinite(payload.capturedAt)),
+        ACCOUNT: payload => payload.accountId === null || typeof payload.accountId === 'string',
+        BROWSE_RESPONSE: payload => typeof payload.url === 'string' && isObject(payload.data),
+        PLAYLIST_EDIT: payload => typeof payload.url === 'string' &&
+            typeof payload.playlistId === 'string' &&
+            Array.isArray(payload.actions) &&
+            payload.actions.every(action => isObject(action) && typeof action.action === 'string'),
+        PLAYLIST_EDIT_RESULT: payload => typeof payload.success === 'boolean' &&
+            (payload.error === undefined || typeof payload.error === 'string'),
+        AUTHORIZATION: payload => payload.authorization === null || typeof payload.authorization === 'string'
+    };
+
+    const listeners = new Map(); // type -> Set of handlers
+    const pendingRequests = new Map(); // requestId -> resolve
+
+    /**
+     * Validate a window message as coming from the page bridge
+     * @param {MessageEvent} event
+     * @returns {Object|null} The message if valid
+     */
+    function validate(event) {
+        if (event.source !== window || event.origin !== location.origin) {
+            return null;
+        }
+
+        const message = event.data;
+        if (!isObject(message) || message.source !== BRIDGE_SOURCE) {
+            return null;
+        }
+
+        const validator = VALIDATORS[message.type];
+        if (!validator || !isObject(message.payload) || !validator(message.payload)) {
+            console.warn('[WLI Bridge] Rejected malformed bridge message:', message.type);
+            return null;
+        }
+
+        return message;
+    }
+
+    window.addEventListener('message', (event) => {
+        const message = validate(event);
+        if (!message) {
+            return;
+        }
+
+        // Replies resolve their request; they are not broadcast
+        if (message.requestId && pendingRequests.has(message.requestId)) {
+            pendingRequests.get(message.requestId)(message.payload);
+            pendingRequests.delete(message.requestId);
+            return;
+        }
+
+        for (const handler of listeners.get(message.type) || []) {
+            try {
+                handler(message.payload);
+            } catch (error) {
+                console.error('[WLI Bridge] Listener error:', error);
+            }
+        }
+    });
+
+    return {
+        /**
+         * Subscribe to messages pushed by the page bridge
+         * @param {string} type - Message type
+         * @param {Function} handler - Called with the validated payload
+         */
+        on(type, handler) {
+            if (!listeners.has(type)) {
+                listeners.set(type, new Set());
+            }
+            listeners.get(type).add(handler);
+        },
+
+        /**
+         * Send a request to the page bridge and wait for its reply
+         * @param {string} type - Request type
+         * @param {number} timeout - Milliseconds to wait
+         * @param {Object} [payload] - Request data
+         * @returns {Promise<Object|null>} Reply payload, or null on timeout
+         */
+        request(type, timeout = DEFAULT_REQUEST_TIMEOUT, payload = {}) {
+            return new Promise((resolve) => {
+                const requestId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+                const timer = setTimeout(() => {
+                    pendingRequests.delete(requestId);
+                    resolve(null);
+                }, timeout);
+
+                pendingRequests.set(requestId, (payload) => {
+                    clearTimeout(timer);
+                    resolve(payload);
+                });
+
+                window.postMessage({ source: CLIENT_SOURCE, type, requestId, payload }, location.origin);
+            });
+        },
+
+        /**
+         * Get the signed-in YouTube account (ytcfg DATASYNC_ID)
+         * Cached data is kept per account, so callers must treat null -
+         * signed out or no answer - as "show nothing"
+         * @returns {Promise<string|null>}
+         */
+        async getAccountId() {
+            const payload = await this.request('GET_ACCOUNT');
+            return payload?.accountId ?? null;
+        },
+
+        /**
+         * Get the SAPISIDHASH Authorization header YouTube's own requests
+         * carry, for signed InnerTube requests from content scripts
+         * @returns {Promise<string|null>} null when signed out or no answer
+         */
+        async getAuthorization() {
+            const payload = await this.request('GET_AUTHORIZATION');
+            return payload?.authorization ?? null;
+        },
+
+        /**
+         * Have the page edit Watch Later through YouTube's own endpoint
+         * @param {Array<{action: string, videoId: string}>} actions -
+         *     ACTION_ADD_VIDEO or ACTION_REMOVE_VIDEO_BY_VIDEO_ID
+         * @returns {Promise<{success: boolean, error?: string}>}
+         */
+        async editWatchLater(actions) {
+            const payload = await this.request('EDIT_PLAYLIST', EDIT_REQUEST_TIMEOUT, { playlistId: 'WL', actions });
+            return payload || { success: false, error: 'No answer from the page' };
+        }
+    };
+})();
@@ -0,0 +1,330 @@
+/**
+ * Card Menu - Content Script
+ * Three-dot overflow menu for shelf cards, styled after YouTube's
+ * ytd-menu-renderer popups. One menu element is shared by all cards and
+ * lives in <body> so the carousel's overflow can't clip it.
+ * Keyboard: Enter/Space/ArrowDown open it, arrow keys and Home/End move
+ * between items, Escape or Tab closes it.
+ */
+
+const WLICardMenu = (function () {
+    'use strict';
+
+    const MENU_ID = 'wli-card-menu';
+    const WATCH_LATER_PLAYLIST_URL = 'https://www.youtube.com/playlist?list=WL';
+    const MENU_MARGIN = 8; // px between the menu and the viewport edge
+
+    const { getWatchUrl } = WLIPlaylistParser;
+
+    let menu = null;
+    let openButton = null; // Button whose menu is open
+
+    /**
+     * Where the user stopped watching: the background's resume time, else
+     * worked out from the scraped progress
+     * @param {Object} item - WatchLaterVideo
+     * @returns {number} Seconds, 0 when unknown
+     */
+    function getResumeTime(item) {
+        if (typeof item.resumeAt === 'number') {
+            return Math.floor(item.resumeAt);
+        }
+        if (typeof item.watchProgress !== 'number' || typeof item.lengthSeconds !== 'number') {
+            return 0;
+        }
+        return Math.floor(item.lengthSeconds * Math.min(100, item.watchProgress) / 100);
+    }
+
+    /**
+     * Format seconds as YouTube does (1:05, 1:02:03)
+     * @param {number} seconds
+     * @returns {string}
+     */
+    function formatTime(seconds) {
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor((seconds % 3600) / 60);
+        const s = String(seconds % 60).padStart(2, '0');
+        return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    }
+
+    /**
+     * Copy a link to the clipboard
+     * @param {string} url
+     */
+    async function copyLink(url) {
+        try {
+            await navigator.clipboard.writeText(url);
+            WLIToast.show('Link copied to clipboard');
+        } catch (error) {
+            console.error('[WLI Menu] Could not copy link:', error);
+            WLIToast.show('Could not copy link');
+        }
+    }
+
+    /**
+     * Hide or pin a video on this account's shelf
+     * The background re-renders every shelf with DATA_REFRESHED
+     * @param {string} videoId
+     * @param {Object} changes - { hidden?: boolean, pinned?: boolean }
+     */
+    async function updateShelfPrefs(videoId, changes) {
+        try {
+            const accountId = typeof WLIBridge !== 'undefined' ? await WLIBridge.getAccountId() : null;
+            const response = await chrome.runtime.sendMessage({
+                type: 'UPDATE_SHELF_PREFS',
+                accountId,
+                videoId,
+                changes
+            });
+
+            if (!response.success) {
+                console.warn('[WLI Menu] Could not update shelf:', response.error);
+            }
+        } catch (error) {
+            console.error('[WLI Menu] Error updating shelf:', error);
+        }
+    }
+
+    /**
+     * Remove a video from Watch Later without leaving the page
+     * Falls back to the playlist page when the actions layer isn't loaded
+     * @param {Object} item - WatchLaterVideo
+     */
+    async function removeFromWatchLater(item) {
+        if (typeof WLIWatchLaterActions === 'undefined') {
+            location.assign(WATCH_LATER_PLAYLIST_URL);
+            return;
+        }
+
+        const result = await WLIWatchLaterActions.removeVideo(item);
+        WLIToast.show(result.success ? 'Removed from Watch Later' : "Couldn't remove from Watch Later - it's back on the shelf");
+    }
+
+    /**
+     * Menu entries for a card
+     * @param {Object} item - WatchLaterVideo (pinned set by the background)
+     * @returns {Array<{label: string, run: Function}>}
+     */
+    function getMenuItems(item) {
+        const isUnavailable = item.availability && item.availability !== 'available';
+        const items = [];
+
+        if (!isUnavailable) {
+            const resumeTime = getResumeTime(item);
+
+            items.push({ label: 'Open in new tab', run: () => window.open(getWatchUrl(item.videoId), '_blank', 'noopener') });
+            items.push({ label: 'Copy link', run: () => copyLink(getWatchUrl(item.videoId)) });
+            if (resumeTime > 0) {
+                items.push({
+                    label: `Copy link at ${formatTime(resumeTime)}`,
+                    run: () => copyLink(getWatchUrl(item.videoId, resumeTime))
+                });
+            }
+        }
+
+        if (item.channelId) {
+            items.push({
+                label: 'Go to channel',
+                run: () => location.assign(`https://www.youtube.com/channel/${encodeURIComponent(item.channelId)}`)
+            });
+        }
+
+        items.push({ label: 'Hide from shelf', run: () => updateShelfPrefs(item.videoId, { hidden: true }) });
+        items.push(item.pinned
+            ? { label: 'Unpin', run: () => updateShelfPrefs(item.videoId, { pinned: false }) }
+            : { label: 'Pin to front', run: () => updateShelfPrefs(item.videoId, { pinned: true }) });
+
+        items.push({ label: 'Remove from Watch Later', run: () => removeFromWatchLater(item) });
+
+        return items;
+    }
+
+    /**
+     * Get the shared menu element, creating it on first use
+     * @returns {Element}
+     */
+    function getMenu() {
+        if (menu) {
+            return menu;
+        }
+
+        menu = document.createElement('div');
+        menu.id = MENU_ID;
+        menu.className = 'wli-menu';
+        menu.setAttribute('role', 'menu');
+        menu.hidden = true;
+
+        menu.addEventListener('keydown', handleMenuKeydown);
+        document.body.appendChild(menu);
+
+        // Click elsewhere, scroll or resize closes it
+        document.addEventListener('mousedown', (event) => {
+            if (openButton && !menu.contains(event.target) && !openButton.contains(event.target)) {
+                close(false);
+            }
+        }, true);
+        window.addEventListener('scroll', () => close(false), true);
+        window.addEventListener('resize', () => close(false));
+
+        return menu;
+    }
+
+    /**
+     * Move focus between menu items
+     * @param {KeyboardEvent} event
+     */
+    function handleMenuKeydown(event) {
+        // Keep YouTube's own keyboard shortcuts out of the menu
+        event.stopPropagation();
+
+        const items = Array.from(menu.querySelectorAll('[role="menuitem"]'));
+        const index = items.indexOf(document.activeElement);
+
+        if (event.key === 'ArrowDown') {
+            event.preventDefault();
+            items[(index + 1) % items.length].focus();
+        } else if (event.key === 'ArrowUp') {
+            event.preventDefault();
+            items[(index - 1 + items.length) % items.length].focus();
+        } else if (event.key === 'Home') {
+            event.preventDefault();
+            items[0].focus();
+        } else if (event.key === 'End') {
+            event.preventDefault();
+            items[items.length - 1].focus();
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            close(true);
+        } else if (event.key === 'Tab') {
+            close(false);
+        } else if ((event.key === 'Enter' || event.key === ' ') && index !== -1) {
+            event.preventDefault();
+            items[index].click();
+        }
+    }
+
+    /**
+     * Place the menu under its button, flipping above when there's no room
+     * @param {Element} button
+     */
+    function positionMenu(button) {
+        const rect = button.getBoundingClientRect();
+        const menuRect = menu.getBoundingClientRect();
+
+        let top = rect.bottom + 4;
+        if (top + menuRect.height > window.innerHeight - MENU_MARGIN) {
+            top = Math.max(MENU_MARGIN, rect.top - menuRect.height - 4);
+        }
+
+        const left = Math.min(
+            Math.max(MENU_MARGIN, rect.right - menuRect.width),
+            window.innerWidth - menuRect.width - MENU_MARGIN
+        );
+
+        menu.style.top = `${top}px`;
+        menu.style.left = `${left}px`;
+    }
+
+    /**
+     * Open the menu for a card
+     * @param {Element} button - The card's menu button
+     * @param {Object} item - WatchLaterVideo
+     */
+    function open(button, item) {
+        getMenu();
+        close(false);
+
+        menu.replaceChildren(...getMenuItems(item).map(({ label, run }) => {
+            const entry = document.createElement('div');
+            entry.className = 'wli-menu-item';
+            entry.setAttribute('role', 'menuitem');
+            entry.tabIndex = -1;
+            entry.textContent = label;
+            entry.addEventListener('click', () => {
+                close(true);
+                run();
+            });
+            return entry;
+        }));
+
+        menu.setAttribute('aria-label', `Actions for ${item.title}`);
+        menu.hidden = false;
+        positionMenu(button);
+
+        openButton = button;
+        button.setAttribute('aria-expanded', 'true');
+        menu.querySelector('[role="menuitem"]').focus();
+    }
+
+    /**
+     * Close the open menu
+     * @param {boolean} restoreFocus - Return focus to the menu button
+     */
+    function close(restoreFocus) {
+        if (!openButton) {
+            return;
+        }
+
+        const button = openButton;
+        openButton = null;
+        menu.hidden = true;
+        button.setAttribute('aria-expanded', 'false');
+
+        if (restoreFocus && button.isConnected) {
+            button.focus();
+        }
+    }
+
+    return {
+        /**
+         * Create the three-dot button that opens a card's menu
+         * @param {Object} item - WatchLaterVideo
+         * @returns {Element}
+         */
+        createButton(item) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'wli-card-menu-button';
+            button.setAttribute('aria-label', `More actions for ${item.title}`);
+            button.setAttribute('aria-haspopup', 'menu');
+            button.setAttribute('aria-expanded', 'false');
+            button.setAttribute('aria-controls', MENU_ID);
+
+            // Vertical three dots, as on YouTube's cards
+            const icon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            icon.setAttribute('viewBox', '0 0 24 24');
+            icon.setAttribute('width', '24');
+            icon.setAttribute('height', '24');
+            icon.setAttribute('fill', 'currentColor');
+            icon.setAttribute('aria-hidden', 'true');
+
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', 'M12 16.5c.83 0 1.5.67 1.5 1.5s-.67 1.5-1.5 1.5-1.5-.67-1.5-1.5.67-1.5 1.5-1.5zM10.5 12c0 .83.67 1.5 1.5 1.5s1.5-.67 1.5-1.5-.67-1.5-1.5-1.5-1.5.67-1.5 1.5zm0-6c0 .83.67 1.5 1.5 1.5s1.5-.67 1.5-1.5-.67-1.5-1.5-1.5-1.5.67-1.5 1.5z');
+            icon.appendChild(path);
+            button.appendChild(icon);
+
+            button.addEventListener('click', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                if (openButton === button) {
+                    close(true);
+                } else {
+                    open(button, item);
+                }
+            });
+
+            // Arrow keys belong to the carousel, except ArrowDown on the button
+            button.addEventListener('keydown', (event) => {
+                if (event.key === 'ArrowDown') {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    open(button, item);
+                }
+            });
+
+            return button;
+        },
+
+        close
+    };
+})();
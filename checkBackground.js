@@ -0,0 +1,140 @@
+/**
+ * Background Check
+ * Loads background.js into a Node vm against an in-memory chrome API and
+ * runs cache and settings writes through it.
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * In-memory chrome.storage area
+ * @returns {Object}
+ */
+function createStorageArea() {
+    const items = {};
+
+    return {
+        items,
+        async get(keys) {
+            if (keys === null || keys === undefined) {
+                return structuredClone(items);
+            }
+
+            const result = {};
+            for (const key of [].concat(keys)) {
+                if (key in items) {
+                    result[key] = structuredClone(items[key]);
+                }
+            }
+            return result;
+        },
+        async set(values) {
+            Object.assign(items, structuredClone(values));
+        },
+        async remove(keys) {
+            for (const key of [].concat(keys)) {
+                delete items[key];
+            }
+        }
+    };
+}
+
+// Listeners are registered but never fired; other calls succeed and do nothing
+const event = { addListener() {} };
+const noop = async () => {};
+
+const chrome = {
+    storage: {
+        local: createStorageArea(),
+        session: createStorageArea(),
+        sync: createStorageArea(),
+        onChanged: event
+    },
+    runtime: {
+        id: 'check',
+        onMessage: event,
+        onInstalled: event,
+        onStartup: event,
+        getManifest: () => ({ version: '0', action: { default_title: 'Watch Later' } }),
+        sendMessage: noop
+    },
+    tabs: { query: async () => [], sendMessage: noop, onRemoved: event },
+    alarms: { create: noop, clear: async () => true, get: async () => null, onAlarm: event },
+    action: { setBadgeText: noop, setBadgeBackgroundColor: noop, setTitle: noop },
+    commands: { onCommand: event },
+    offscreen: { hasDocument: async () => false, createDocument: noop, closeDocument: noop }
+};
+
+const context = vm.createContext({
+    chrome,
+    crypto,
+    structuredClone,
+    TextEncoder,
+    setTimeout,
+    clearTimeout,
+    console: { log() {}, warn() {}, error: console.error },
+    importScripts: file => vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), context)
+});
+vm.runInContext(fs.readFileSync(path.join(__dirname, 'background.js'), 'utf8'), context);
+
+const video = index => ({ videoId: `video${index}`, setVideoId: `set${index}`, title: `Video ${index}` });
+const videos = count => Array.from({ length: count }, (_, index) => video(index));
+
+async function checkPartialMerge() {
+    const cacheKey = await context.getCacheKey('account');
+    const now = Date.now();
+
+    await context.saveWatchLaterSnapshot(cacheKey, {
+        videos: videos(150), complete: true, totalCount: 150, strategy: 'innertube', capturedAt: now - 1000
+    });
+
+    // A later refresh that only reached the first page
+    const result = await context.saveWatchLaterSnapshot(cacheKey, {
+        videos: videos(100), complete: false, totalCount: 150, strategy: 'offscreen', capturedAt: now
+    });
+    assert.ok(result.success);
+
+    const data = await context.getWatchLaterData(cacheKey);
+    assert.strictEqual(data.videos.length, 150);
+    assert.strictEqual(data.complete, true);
+    assert.strictEqual(data.timestamp, now);
+    assert.strictEqual(data.stale, false, 'A partial scrape merged onto a complete list must not be stale');
+
+    // Without a complete list to merge onto, a partial scrape stays stale
+    const otherKey = await context.getCacheKey('other account');
+    await context.saveWatchLaterSnapshot(otherKey, {
+        videos: videos(100), complete: false, totalCount: 150, strategy: 'offscreen', capturedAt: now
+    });
+    assert.strictEqual((await context.getWatchLaterData(otherKey)).stale, true);
+
+    console.log('[Check] Partial scrape merged onto a complete cache: OK');
+}
+
+async function checkSettingsTimes() {
+    const modifiedTimes = () => chrome.storage.local.items.settingsModified;
+
+    await context.saveSettings({ autoRemoveExceptions: ['Some Channel'] });
+    const savedAt = modifiedTimes().autoRemoveExceptions;
+    assert.ok(savedAt > 0);
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await context.saveSettings({ itemCount: 7 });
+
+    assert.ok(modifiedTimes().itemCount > savedAt);
+    assert.strictEqual(modifiedTimes().autoRemoveExceptions, savedAt,
+        'Saving one setting must not stamp an unchanged list setting');
+
+    console.log('[Check] Settings modification times: OK');
+}
+
+(async () => {
+    await checkPartialMerge();
+    await checkSettingsTimes();
+})().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,34 @@
+/**
+ * Storage Schema Check
+ * Migrates every storage fixture in mockData.js to the current schema
+ * (storageSchema.js) and checks the result.
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const schema = require('./storageSchema.js');
+const { MOCK_STORAGE_BY_VERSION } = require('./mockData.js');
+
+const DEFAULTS = { enabled: true, itemCount: 5, cacheTTL: 20, sortOrder: 'descending' };
+
+for (let version = 1; version < schema.STORAGE_SCHEMA_VERSION; version++) {
+    const fixture = MOCK_STORAGE_BY_VERSION[version];
+    assert.ok(fixture, `No storage fixture for schema version ${version}`);
+
+    const { storage } = schema.migrateStorage(fixture, DEFAULTS);
+    assert.strictEqual(storage[schema.SCHEMA_VERSION_KEY], schema.STORAGE_SCHEMA_VERSION);
+    assert.ok(!('watchLaterData' in storage), 'Unkeyed cache must be dropped');
+    assert.ok(!('legacyLayout' in storage.settings), 'Obsolete settings must be dropped');
+
+    for (const [key, cache] of Object.entries(storage)) {
+        if (key.startsWith('watchLaterData:')) {
+            for (const video of cache.videos) {
+                assert.deepStrictEqual(Object.keys(video), Object.keys(schema.normalizeVideo(video, 0)));
+            }
+        }
+    }
+
+    // Migrating current storage again must change nothing
+    assert.deepStrictEqual(schema.migrateStorage(storage, DEFAULTS).storage, storage);
+    console.log(`[Check] Storage schema ${version} → ${schema.STORAGE_SCHEMA_VERSION}: OK`);
+}
@@ -0,0 +1,51 @@
+/**
+ * Watch Later Scraper Check
+ * Parses the rendered playlist rows in mockData.js with the scraper's DOM
+ * fallback (watchLaterScraper.js), loaded into a jsdom page. Each row is
+ * parsed on its own: YouTube repeats element ids across rows, which jsdom's
+ * id selectors don't handle within one document.
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const { JSDOM } = require('jsdom');
+const { MOCK_PLAYLIST_ROWS } = require('./mockData.js');
+
+const dom = new JSDOM('<!DOCTYPE html><body></body>', { url: 'https://www.youtube.com/' });
+
+// The content-script world the scraper expects
+global.window = dom.window;
+global.document = dom.window.document;
+global.location = dom.window.location;
+global.WLIPlaylistParser = require('./playlistParser.js');
+
+const { parseVideoRow } = require('./watchLaterScraper.js');
+const parseFixture = html => parseVideoRow(JSDOM.fragment(html).firstElementChild);
+
+assert.deepStrictEqual(parseFixture(MOCK_PLAYLIST_ROWS.available), {
+    videoId: 'dQw4w9WgXcQ',
+    setVideoId: null,
+    title: 'Sample Video Title 1',
+    channelTitle: 'Sample Channel',
+    channelId: 'UCsample0000000000000001',
+    lengthText: '3:33',
+    lengthSeconds: 213,
+    viewCountText: '1.2M views',
+    publishedTimeText: '3 years ago',
+    watchProgress: 40,
+    badges: [],
+    isPlayable: true,
+    availability: 'available',
+    thumbnails: {
+        default: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/default.jpg',
+        medium: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/mqdefault.jpg',
+        high: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg'
+    }
+});
+
+const unavailable = parseFixture(MOCK_PLAYLIST_ROWS.private);
+assert.strictEqual(unavailable.availability, 'private');
+assert.strictEqual(unavailable.isPlayable, false);
+assert.strictEqual(unavailable.channelTitle, '');
+
+console.log('[Check] Watch Later rendered rows: OK');
@@ -0,0 +1,70 @@
+/**
+ * ESLint config
+ * The extension is plain scripts: content scripts share one isolated world
+ * (see manifest.json for load order), so each module's global is declared
+ * here for the scripts that use it.
+ * Run with: npm run lint
+ */
+
+const js = require('@eslint/js');
+const globals = require('globals');
+
+// Globals defined by one content script and used by later ones
+const CONTENT_SCRIPT_GLOBALS = {
+    WLIBridge: 'readonly',
+    WLIPlaylistParser: 'readonly',
+    WLITimeFormat: 'readonly',
+    WLIWatchLaterActions: 'readonly',
+    WLIToast: 'readonly',
+    WLICardMenu: 'readonly',
+    WLIUpNextPanel: 'readonly',
+    createVideoCard: 'readonly'
+};
+
+// storageSchema.js, loaded into the service worker with importScripts()
+const STORAGE_SCHEMA_GLOBALS = {
+    STORAGE_SCHEMA_VERSION: 'readonly',
+    SCHEMA_VERSION_KEY: 'readonly',
+    migrateStorage: 'readonly',
+    normalizeVideo: 'readonly'
+};
+
+module.exports = [
+    {
+        ignores: ['node_modules/**']
+    },
+    js.configs.recommended,
+    {
+        files: ['**/*.js'],
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'script',
+            globals: {
+                ...globals.browser,
+                ...globals.webextensions,
+                ...CONTENT_SCRIPT_GLOBALS
+            }
+        },
+        rules: {
+            // Top-level declarations are each script's public surface
+            'no-redeclare': ['error', { builtinGlobals: false }],
+            'no-unused-vars': ['error', { vars: 'local', args: 'none', caughtErrors: 'none' }]
+        }
+    },
+    {
+        files: ['background.js'],
+        languageOptions: {
+            globals: {
+                ...globals.serviceworker,
+                ...STORAGE_SCHEMA_GLOBALS
+            }
+        }
+    },
+    {
+        // Node checks, and modules with a module.exports guard for them
+        files: ['check*.js', 'eslint.config.js', 'mockData.js', 'playlistParser.js', 'storageSchema.js', 'watchLaterScraper.js', 'youtubeApi.js'],
+        languageOptions: {
+            globals: globals.node
+        }
+    }
+];
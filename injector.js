@@ -9,6 +9,8 @@ let currentSettings = null;
 let observer = null;
 let isYouTubeHomepage = false;
 let injectionTimeout = null; // For debouncing injection requests
+let dataFreshness = { timestamp: null, stale: false, refreshing: false }; // Shown in the shelf header
+let freshnessTimer = null; // Keeps the "updated X min ago" text current
 
 // Constants
 const WATCH_LATER_SHELF_ID = 'wli-watch-later-shelf';
@@ -16,6 +18,7 @@ const FEED_CONTAINER_SELECTOR = '#contents';
 const FEED_CHECK_INTERVAL = 100; // ms
 const FEED_CHECK_MAX_ATTEMPTS = 50; // 5 seconds total
 const WATCH_LATER_PLAYLIST_URL = 'https://www.youtube.com/playlist?list=WL';
+const FRESHNESS_UPDATE_INTERVAL = 60 * 1000; // ms
 
 /**
  * Initialize the extension
@@ -254,14 +257,20 @@ async function injectShelf() {
     console.log('[WLI] Starting shelf injection...');
 
     try {
+        // Cached data is per account; signed out (or no bridge) shows nothing
+        const accountId = typeof WLIBridge !== 'undefined' ? await WLIBridge.getAccountId() : null;
+
         // Fetch Watch Later items from scraped data
         const response = await chrome.runtime.sendMessage({
             type: 'GET_WATCH_LATER',
+            accountId,
             settings: currentSettings
         });
 
         if (!response.success) {
-            if (response.needsRefresh) {
+            if (response.signedOut) {
+                console.log('[WLI] Signed out of YouTube, not showing the shelf');
+            } else if (response.needsRefresh) {
                 console.log('[WLI] No data available yet, showing prompt to visit Watch Later');
                 injectFirstTimePrompt(feedContainer, response.message);
             } else {
@@ -272,14 +281,23 @@ async function injectShelf() {
         }
 
         let videos = response.videos || [];
-        console.log(`[WLI] Got ${videos.length} videos (from cache: ${response.fromCache}, timestamp: ${response.timestamp})`);
+        const continueVideos = response.continueWatching || [];
+        console.log(`[WLI] Got ${videos.length} videos (from cache: ${response.fromCache}, timestamp: ${response.timestamp}` +
+            (response.stale ? ', stale' : '') + ')');
+
+        // Expired data is shown as is; fresh cards arrive with DATA_REFRESHED
+        dataFreshness = {
+            timestamp: response.timestamp,
+            stale: !!response.stale,
+            refreshing: !!response.refreshing
+        };
         if (videos.length > 0) {
             console.log(`[WLI] First video: "${videos[0].title}" (${videos[0].videoId})`);
             console.log(`[WLI] Last video: "${videos[videos.length - 1].title}" (${videos[videos.length - 1].videoId})`);
         }
 
         // Handle empty playlist
-        if (videos.length === 0) {
+        if (videos.length === 0 && continueVideos.length === 0) {
             if (currentSettings.showEmptyState) {
                 console.log('[WLI] Playlist is empty, showing empty state');
                 injectEmptyState(feedContainer);
@@ -289,26 +307,23 @@ async function injectShelf() {
             return;
         }
 
-        // Apply sort order (newest first by default)
-        const sortOrder = currentSettings?.sortOrder || 'descending';
-        if (sortOrder === 'descending') {
-            // Reverse to show newest videos first (YouTube adds newest at the end)
-            videos = videos.slice().reverse();
-            console.log('[WLI] Sorted videos: newest first (descending)');
-        } else {
-            console.log('[WLI] Sorted videos: oldest first (ascending)');
-        }
+        // Videos arrive sorted by save time (background applies sortOrder
+        // before the item limit so the newest saves are not cut off)
+        console.log(`[WLI] Sort order: ${currentSettings?.sortOrder || 'descending'}`);
 
         // Limit to configured item count
         const itemCount = currentSettings?.itemCount || 5;
         videos = videos.slice(0, itemCount);
-        console.log(`[WLI] Displaying ${videos.length} videos (limit: ${itemCount})`);
+        console.log(`[WLI] Displaying ${videos.length} videos (limit: ${itemCount})` +
+            (continueVideos.length ? `, ${continueVideos.length} to continue` : ''));
 
-        const shelf = createShelf(videos);
+        const shelf = createShelf(videos, continueVideos);
         insertShelfSafely(feedContainer, shelf);
+        updateFreshnessIndicator();
 
         shelfInjected = true;
         console.log('[WLI] Shelf injected successfully');
+        reportShelfViewed();
 
     } catch (error) {
         console.error('[WLI] Error during injection:', error);
@@ -341,9 +356,11 @@ function insertShelfSafely(feedContainer, shelf) {
  * Create the Watch Later shelf DOM structure
  * Built off-DOM for performance
  * @param {Array} items - Playlist items
+ * @param {Array} [continueItems] - Started, unfinished videos for the
+ *   "Continue watching" row (already left out of items by the background)
  * @returns {Element} Shelf element
  */
-function createShelf(items) {
+function createShelf(items, continueItems = []) {
     // Main shelf container
     const shelf = document.createElement('div');
     shelf.id = WATCH_LATER_SHELF_ID;
@@ -360,12 +377,38 @@ function createShelf(items) {
     shelf.appendChild(header);
 
     // Carousel container
-    const carousel = createCarousel(items);
-    shelf.appendChild(carousel);
+    if (items.length > 0) {
+        const carousel = createCarousel(items);
+        shelf.appendChild(carousel);
+    }
+
+    if (continueItems.length > 0) {
+        shelf.appendChild(createContinueWatchingSection(continueItems));
+    }
 
     return shelf;
 }
 
+/**
+ * Create the "Continue watching" row: its own heading and carousel, with
+ * cards that open at the saved position
+ * @param {Array} items - Started, unfinished videos, most recently watched first
+ * @returns {Element}
+ */
+function createContinueWatchingSection(items) {
+    const section = document.createElement('div');
+    section.className = 'wli-shelf-section';
+
+    const heading = document.createElement('h3');
+    heading.className = 'wli-shelf-section-title';
+    heading.textContent = 'Continue watching';
+    section.appendChild(heading);
+
+    section.appendChild(createCarousel(items, { resume: true, label: 'Continue watching carousel' }));
+
+    return section;
+}
+
 /**
  * Create shelf header with title and icon
  * @returns {Element}
@@ -403,23 +446,104 @@ function createShelfHeader() {
     title.appendChild(titleText);
     header.appendChild(title);
 
+    // Filled in by updateFreshnessIndicator()
+    const status = document.createElement('span');
+    status.className = 'wli-shelf-status';
+    status.setAttribute('aria-live', 'polite');
+    header.appendChild(status);
+
+    // Play the whole list in shelf order, or shuffled
+    const actions = document.createElement('div');
+    actions.className = 'wli-shelf-actions';
+    actions.appendChild(createPlaybackButton('Play all', false));
+    actions.appendChild(createPlaybackButton('Shuffle', true));
+    header.appendChild(actions);
+
     return header;
 }
 
+/**
+ * Create a shelf header playback button
+ * @param {string} label - Button text
+ * @param {boolean} shuffle - Shuffle instead of shelf order
+ * @returns {Element}
+ */
+function createPlaybackButton(label, shuffle) {
+    const button = document.createElement('button');
+    button.className = 'wli-shelf-action';
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', () => startPlayback(shuffle));
+    return button;
+}
+
+/**
+ * Play every video on the shelf (not only the ones shown), in shelf order
+ * or shuffled. The background opens the first video in this tab
+ * @param {boolean} shuffle
+ */
+async function startPlayback(shuffle) {
+    try {
+        const accountId = typeof WLIBridge !== 'undefined' ? await WLIBridge.getAccountId() : null;
+        const response = await chrome.runtime.sendMessage({
+            type: 'START_PLAYBACK',
+            accountId,
+            shuffle,
+            settings: currentSettings
+        });
+
+        if (!response.success) {
+            console.warn('[WLI] Could not start playback:', response.error);
+        }
+    } catch (error) {
+        console.error('[WLI] Error starting playback:', error);
+    }
+}
+
+/**
+ * Show whether the shelf's data is being refreshed or how old it is
+ * Fresh data shows nothing; the text only appears while refreshing or
+ * once the cache has expired
+ */
+function updateFreshnessIndicator() {
+    const status = document.querySelector(`#${WATCH_LATER_SHELF_ID} .wli-shelf-status`);
+
+    if (!status) {
+        clearInterval(freshnessTimer);
+        freshnessTimer = null;
+        return;
+    }
+
+    if (dataFreshness.refreshing) {
+        status.textContent = 'Refreshing…';
+    } else if (dataFreshness.stale && dataFreshness.timestamp) {
+        status.textContent = `Updated ${WLITimeFormat.formatAge(dataFreshness.timestamp)}`;
+    } else {
+        status.textContent = '';
+    }
+
+    if (!freshnessTimer) {
+        freshnessTimer = setInterval(updateFreshnessIndicator, FRESHNESS_UPDATE_INTERVAL);
+    }
+}
+
 /**
  * Create horizontal scrolling carousel with video cards
  * @param {Array} items - Playlist items
+ * @param {Object} [options]
+ * @param {boolean} [options.resume] - Cards open at the saved position
+ * @param {string} [options.label] - Accessible name
  * @returns {Element}
  */
-function createCarousel(items) {
+function createCarousel(items, options = {}) {
     const carousel = document.createElement('div');
     carousel.className = 'wli-carousel';
     carousel.setAttribute('role', 'list');
     carousel.setAttribute('tabindex', '0');
-    carousel.setAttribute('aria-label', 'Watch Later videos carousel');
+    carousel.setAttribute('aria-label', options.label || 'Watch Later videos carousel');
 
     items.forEach((item, index) => {
-        const card = createVideoCard(item, index);
+        const card = createVideoCard(item, index, options);
         carousel.appendChild(card);
     });
 
@@ -431,17 +555,28 @@ function createCarousel(items) {
 
 /**
  * Create a video card element
+ * The card link and its overflow menu button (cardMenu.js) sit side by
+ * side in a list item, since a button can't live inside a link
  * @param {Object} item - Playlist item data
  * @param {number} index - Card index for accessibility
- * @returns {Element}
+ * @param {Object} [options]
+ * @param {boolean} [options.resume] - Link to the saved position (item.resumeAt)
+ * @returns {Element} List item wrapping the card
  */
-function createVideoCard(item, index) {
+function createVideoCard(item, index, options = {}) {
+    // Private/deleted entries can't be played, only removed from Watch Later
+    const isUnavailable = item.availability && item.availability !== 'available';
+    const resumeAt = options.resume && item.resumeAt > 0 ? Math.floor(item.resumeAt) : 0;
+
     // Card wrapper (anchor for native link behavior)
     const card = document.createElement('a');
-    card.href = `https://www.youtube.com/watch?v=${item.videoId}`;
-    card.className = 'wli-video-card';
-    card.setAttribute('role', 'listitem');
-    card.setAttribute('aria-label', `${item.title} by ${item.channelTitle}`);
+    card.href = isUnavailable
+        ? WATCH_LATER_PLAYLIST_URL
+        : WLIPlaylistParser.getWatchUrl(item.videoId, resumeAt);
+    card.className = isUnavailable ? 'wli-video-card wli-video-card-unavailable' : 'wli-video-card';
+    card.setAttribute('aria-label', isUnavailable
+        ? `${item.title} - unavailable, open Watch Later to remove it`
+        : `${item.title} by ${item.channelTitle}` + (resumeAt ? ' - continue watching' : ''));
     card.setAttribute('data-video-id', item.videoId);
     card.setAttribute('data-card-index', index);
     card.tabIndex = 0; // Make cards keyboard focusable
@@ -484,6 +619,7 @@ function createVideoCard(item, index) {
     }, { once: true });
 
     thumbnailContainer.appendChild(thumbnail);
+    appendThumbnailOverlays(thumbnailContainer, item);
 
     // Video info
     const info = document.createElement('div');
@@ -501,11 +637,83 @@ function createVideoCard(item, index) {
     info.appendChild(title);
     info.appendChild(channel);
 
+    // "1.2M views • 3 years ago", like YouTube's own metadata line
+    const metaParts = [item.viewCountText, item.publishedTimeText].filter(Boolean);
+    if (metaParts.length > 0) {
+        const meta = document.createElement('div');
+        meta.className = 'wli-video-meta';
+        meta.textContent = metaParts.join(' • ');
+        info.appendChild(meta);
+    }
+
+    if (isUnavailable) {
+        const hint = document.createElement('span');
+        hint.className = 'wli-remove-hint';
+        hint.textContent = 'Unavailable · Remove';
+        hint.title = 'Open Watch Later to remove this video';
+        info.appendChild(hint);
+    }
+
+    if (item.badges?.includes('members-only')) {
+        const badge = document.createElement('span');
+        badge.className = 'wli-badge';
+        badge.textContent = 'Members only';
+        info.appendChild(badge);
+    }
+
     // Assemble card
     card.appendChild(thumbnailContainer);
     card.appendChild(info);
 
-    return card;
+    const listItem = document.createElement('div');
+    listItem.className = 'wli-card-item';
+    listItem.setAttribute('role', 'listitem');
+    listItem.appendChild(card);
+
+    if (typeof WLICardMenu !== 'undefined') {
+        listItem.appendChild(WLICardMenu.createButton(item));
+    }
+
+    return listItem;
+}
+
+/**
+ * Add duration/live badge and resume progress bar over a thumbnail
+ * @param {Element} thumbnailContainer - Thumbnail container
+ * @param {Object} item - Playlist item data
+ */
+function appendThumbnailOverlays(thumbnailContainer, item) {
+    const badges = item.badges || [];
+
+    let statusText = item.lengthText;
+    let statusClass = '';
+    if (badges.includes('live')) {
+        statusText = 'LIVE';
+        statusClass = 'wli-time-status-live';
+    } else if (badges.includes('upcoming')) {
+        statusText = 'UPCOMING';
+        statusClass = 'wli-time-status-upcoming';
+    }
+
+    if (statusText) {
+        const status = document.createElement('div');
+        status.className = `wli-time-status ${statusClass}`.trim();
+        status.textContent = statusText;
+        thumbnailContainer.appendChild(status);
+    }
+
+    if (typeof item.watchProgress === 'number' && item.watchProgress > 0) {
+        const progress = document.createElement('div');
+        progress.className = 'wli-progress';
+        progress.setAttribute('aria-hidden', 'true');
+
+        const bar = document.createElement('div');
+        bar.className = 'wli-progress-bar';
+        bar.style.width = `${Math.min(100, item.watchProgress)}%`;
+
+        progress.appendChild(bar);
+        thumbnailContainer.appendChild(progress);
+    }
 }
 
 /**
@@ -761,6 +969,17 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 scheduleInjection(200);
             }
         }
+    } else if (message.type === 'FOCUS_SHELF') {
+        // Keyboard command - arrow keys work from the focused card on
+        const card = document.querySelector(`#${WATCH_LATER_SHELF_ID} .wli-video-card`);
+        if (card) {
+            card.focus();
+        } else {
+            console.log('[WLI] No shelf to focus');
+        }
+    } else if (message.type === 'REFRESH_STATUS') {
+        dataFreshness.refreshing = message.refreshing;
+        updateFreshnessIndicator();
     } else if (message.type === 'DATA_REFRESHED') {
         console.log('[WLI] 🔄 DATA_REFRESHED received:', message.count, 'videos');
         console.log('[WLI] Current state: isYouTubeHomepage =', isYouTubeHomepage, ', enabled =', currentSettings?.enabled);
@@ -784,6 +1003,33 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
 });
 
+/**
+ * Let the background know YouTube is in use, so scheduled refreshes keep
+ * running (they pause when no YouTube tab has been used for a while)
+ */
+function reportActivity() {
+    if (document.visibilityState === 'visible') {
+        chrome.runtime.sendMessage({ type: 'YOUTUBE_ACTIVITY' }).catch(() => { });
+    }
+}
+
+/**
+ * Let the background know the shelf was seen, clearing the "new" count on
+ * the toolbar badge. Shelves rendered in background tabs don't count
+ */
+async function reportShelfViewed() {
+    if (document.visibilityState !== 'visible' || !document.getElementById(WATCH_LATER_SHELF_ID)) {
+        return;
+    }
+
+    const accountId = typeof WLIBridge !== 'undefined' ? await WLIBridge.getAccountId() : null;
+    chrome.runtime.sendMessage({ type: 'SHELF_VIEWED', accountId }).catch(() => { });
+}
+
+document.addEventListener('visibilitychange', reportActivity);
+document.addEventListener('visibilitychange', reportShelfViewed);
+reportActivity();
+
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
@@ -114,13 +114,14 @@ if (typeof chrome === 'undefined' || !chrome.runtime) {
                             error: null
                         };
 
-                    case 'REFRESH_CACHE':
+                    case 'REFRESH_CACHE': {
                         // Same as GET_WATCH_LATER but with refreshed: true
                         const watchLaterResponse = await this.sendMessage({ type: 'GET_WATCH_LATER' });
                         return {
                             ...watchLaterResponse,
                             refreshed: true
                         };
+                    }
 
                     default:
                         console.warn('[Mock] Unknown message type:', message.type);
@@ -73,10 +73,71 @@ if (typeof console !== 'undefined') {
     console.log(JSON.stringify(MOCK_WATCH_LATER_RESPONSE.items[0], null, 2));
 }
 
+// Storage snapshots as older builds left them, one per schema version
+// (see storageSchema.js; checked by checkStorageSchema.js)
+const MOCK_STORAGE_BY_VERSION = {
+    1: {
+        settings: {
+            enabled: true,
+            itemCount: 5,
+            cacheTTL: 20,
+            sortOrder: 'descending',
+            legacyLayout: 'grid' // Obsolete field
+        },
+        watchLaterData: {
+            videos: [
+                {
+                    videoId: 'dQw4w9WgXcQ',
+                    title: 'Sample Video Title 1',
+                    channelTitle: 'Sample Channel',
+                    thumbnails: { default: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/default.jpg' }
+                }
+            ],
+            timestamp: 1700000000000,
+            source: 'scraper'
+        },
+        'watchLaterData:00112233445566778899aabbccddeeff': {
+            videos: [
+                {
+                    videoId: 'jNQXAC9IVRw',
+                    title: 'Another Interesting Video',
+                    channelTitle: 'Cool Creator',
+                    lengthText: '0:19',
+                    thumbnails: { medium: 'https://i.ytimg.com/vi/jNQXAC9IVRw/mqdefault.jpg' }
+                }
+            ],
+            timestamp: 1700000000000,
+            revision: 3
+        },
+        activeAccount: 'watchLaterData:00112233445566778899aabbccddeeff'
+    }
+};
+
+// Rendered Watch Later rows (ytd-playlist-video-renderer), trimmed to
+// what the scraper's DOM fallback reads (checked by checkWatchLaterScraper.js)
+const MOCK_PLAYLIST_ROWS = {
+    available: `
+<ytd-playlist-video-renderer>
+    <ytd-thumbnail>
+        <ytd-thumbnail-overlay-time-status-renderer><span id="text"> 3:33 </span></ytd-thumbnail-overlay-time-status-renderer>
+        <ytd-thumbnail-overlay-resume-playback-renderer><div id="progress" style="width: 40%;"></div></ytd-thumbnail-overlay-resume-playback-renderer>
+    </ytd-thumbnail>
+    <a id="video-title" href="/watch?v=dQw4w9WgXcQ&amp;list=WL&amp;index=1" title="Sample Video Title 1">Sample Video Title 1</a>
+    <ytd-channel-name><a href="/channel/UCsample0000000000000001">Sample Channel</a></ytd-channel-name>
+    <div id="video-info"><span>1.2M views</span><span>•</span><span>3 years ago</span></div>
+</ytd-playlist-video-renderer>`,
+    private: `
+<ytd-playlist-video-renderer unplayable>
+    <a id="video-title" href="/watch?v=xxxxxxxxxxx&amp;list=WL&amp;index=2" title="[Private video]">[Private video]</a>
+</ytd-playlist-video-renderer>`
+};
+
 // Export for use in tests or development
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         MOCK_WATCH_LATER_RESPONSE,
+        MOCK_STORAGE_BY_VERSION,
+        MOCK_PLAYLIST_ROWS,
         getMockWatchLaterItems
     };
 }
@@ -0,0 +1,119 @@
+/**
+ * Offscreen Refresh Document
+ * Fetches the Watch Later page without opening a tab, parses its embedded
+ * ytInitialData with playlistParser.js and reports the result to the
+ * background as an OFFSCREEN_SCRAPE_COMPLETE message.
+ * Created and closed by refreshWatchLaterData() in background.js
+ */
+
+(function () {
+    'use strict';
+
+    /**
+     * Download a page's HTML
+     * @param {string} url - Page to fetch
+     * @param {number} deadline - Time (ms epoch) to give up at
+     * @returns {Promise<string>}
+     */
+    async function fetchPage(url, deadline) {
+        const response = await fetch(url, {
+            credentials: 'include',
+            signal: AbortSignal.timeout(Math.max(deadline - Date.now(), 0))
+        });
+
+        if (!response.ok) {
+            throw new Error(`Page request failed: HTTP ${response.status}`);
+        }
+
+        // Signed-out users are redirected to the Google sign-in page
+        if (new URL(response.url).origin !== new URL(url).origin) {
+            throw new Error('Redirected away from the playlist (signed out?)');
+        }
+
+        return response.text();
+    }
+
+    /**
+     * Read ytInitialData and the InnerTube config from a page's scripts
+     * @param {string} html
+     * @returns {{data: Object|null, config: Object|null}}
+     */
+    function parsePage(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        let data = null;
+        let config = null;
+
+        for (const script of doc.querySelectorAll('script')) {
+            const content = script.textContent;
+            data = data || WLIPlaylistParser.extractInitialData(content);
+            config = config || WLIPlaylistParser.extractInnertubeConfig(content);
+        }
+
+        return { data, config };
+    }
+
+    /**
+     * Scrape the whole playlist from a Watch Later page URL
+     * Continuations are requested without a SAPISIDHASH header (the
+     * document can't read YouTube's cookies), so a playlist longer than one
+     * page may come back partial.
+     * @param {string} sourceUrl - Watch Later page, or a local fixture
+     * @param {number} deadline - Time (ms epoch) to report by, partial if need be
+     * @returns {Promise<Object>} { status: 'complete'|'partial'|'failed', videos, totalCount, capturedAt, accountId, error? }
+     */
+    async function scrape(sourceUrl, deadline) {
+        const capturedAt = Date.now();
+
+        try {
+            const { data, config } = parsePage(await fetchPage(sourceUrl, deadline));
+
+            // Without an account the list can't be attributed to anyone
+            const accountId = config?.accountId || null;
+            if (!accountId) {
+                throw new Error('Signed out of YouTube');
+            }
+
+            const firstPage = data ? WLIPlaylistParser.parseFirstPage(data) : null;
+            if (!firstPage) {
+                throw new Error('No playlist data in page');
+            }
+
+            const { videos, complete, pageCount } = await WLIPlaylistParser.fetchAllPages(firstPage, config, undefined, deadline);
+
+            console.log(`[WL Offscreen] Scraped ${videos.length} videos across ${pageCount} page(s)` +
+                (complete ? '' : ' - PARTIAL'));
+
+            return {
+                status: complete ? 'complete' : 'partial',
+                videos,
+                totalCount: firstPage.totalCount,
+                capturedAt,
+                accountId
+            };
+        } catch (error) {
+            console.error('[WL Offscreen] Scrape failed:', error);
+            return { status: 'failed', videos: [], totalCount: null, capturedAt, accountId: null, error: error.message };
+        }
+    }
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.type !== 'OFFSCREEN_SCRAPE' || sender.id !== chrome.runtime.id) {
+            return false;
+        }
+
+        // Acknowledge now; the result follows as its own message
+        sendResponse({ accepted: true });
+
+        scrape(message.sourceUrl, message.deadline).then(result => {
+            chrome.runtime.sendMessage({
+                type: 'OFFSCREEN_SCRAPE_COMPLETE',
+                requestId: message.requestId,
+                result
+            });
+        });
+
+        return false;
+    });
+
+    console.log('[WL Offscreen] Refresh document ready');
+})();
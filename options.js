@@ -10,9 +10,65 @@ const DEFAULT_SETTINGS = {
     thumbnailSize: 'compact',
     sortOrder: 'descending',
     showEmptyState: true,
-    autoRefresh: true
+    autoRefresh: true,
+    backgroundRefresh: true,
+    unavailableVideos: 'hide',
+    finishedVideos: 'show',
+    continueWatching: true,
+    autoRemoveFinished: false,
+    autoRemoveThreshold: 90,
+    autoRemoveExceptions: [],
+    upNextPanel: true,
+    autoplayWatchLater: false,
+    badgeMode: 'total'
 };
 
+// Form values as last loaded or saved; saving sends only the fields changed
+// since, so a setting synced from another browser meanwhile isn't reverted
+let savedFormSettings = null;
+
+/**
+ * Read the settings shown in the form
+ * @returns {Object}
+ */
+function readForm() {
+    return {
+        enabled: document.getElementById('enabled').checked,
+        itemCount: parseInt(document.getElementById('itemCount').value, 10),
+        cacheTTL: parseInt(document.getElementById('cacheTTL').value, 10),
+        thumbnailSize: document.getElementById('thumbnailSize').value,
+        sortOrder: document.getElementById('sortOrder').value,
+        showEmptyState: document.getElementById('showEmptyState').checked,
+        autoRefresh: document.getElementById('autoRefresh').checked,
+        backgroundRefresh: document.getElementById('backgroundRefresh').checked,
+        unavailableVideos: document.getElementById('unavailableVideos').value,
+        finishedVideos: document.getElementById('finishedVideos').value,
+        continueWatching: document.getElementById('continueWatching').checked,
+        autoRemoveFinished: document.getElementById('autoRemoveFinished').checked,
+        autoRemoveThreshold: parseInt(document.getElementById('autoRemoveThreshold').value, 10),
+        autoRemoveExceptions: document.getElementById('autoRemoveExceptions').value
+            .split('\n')
+            .map(channel => channel.trim())
+            .filter(Boolean),
+        upNextPanel: document.getElementById('upNextPanel').checked,
+        autoplayWatchLater: document.getElementById('autoplayWatchLater').checked,
+        badgeMode: document.getElementById('badgeMode').value
+    };
+}
+
+/**
+ * Check if two setting values are equal, comparing lists by content
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isSameValue(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, index) => item === b[index]);
+    }
+    return a === b;
+}
+
 /**
  * Load settings from storage and populate form
  */
@@ -30,6 +86,17 @@ async function loadSettings() {
             document.getElementById('sortOrder').value = settings.sortOrder || 'descending';
             document.getElementById('showEmptyState').checked = settings.showEmptyState;
             document.getElementById('autoRefresh').checked = settings.autoRefresh;
+            document.getElementById('backgroundRefresh').checked = settings.backgroundRefresh;
+            document.getElementById('unavailableVideos').value = settings.unavailableVideos || 'hide';
+            document.getElementById('finishedVideos').value = settings.finishedVideos || 'show';
+            document.getElementById('continueWatching').checked = settings.continueWatching !== false;
+            document.getElementById('autoRemoveFinished').checked = settings.autoRemoveFinished === true;
+            document.getElementById('autoRemoveThreshold').value = settings.autoRemoveThreshold || 90;
+            document.getElementById('autoRemoveExceptions').value = (settings.autoRemoveExceptions || []).join('\n');
+            document.getElementById('upNextPanel').checked = settings.upNextPanel !== false;
+            document.getElementById('autoplayWatchLater').checked = settings.autoplayWatchLater === true;
+            document.getElementById('badgeMode').value = settings.badgeMode || 'total';
+            savedFormSettings = readForm();
 
             console.log('[Options] Settings loaded:', settings);
         } else {
@@ -47,15 +114,7 @@ async function loadSettings() {
  */
 async function saveSettings() {
     try {
-        const settings = {
-            enabled: document.getElementById('enabled').checked,
-            itemCount: parseInt(document.getElementById('itemCount').value, 10),
-            cacheTTL: parseInt(document.getElementById('cacheTTL').value, 10),
-            thumbnailSize: document.getElementById('thumbnailSize').value,
-            sortOrder: document.getElementById('sortOrder').value,
-            showEmptyState: document.getElementById('showEmptyState').checked,
-            autoRefresh: document.getElementById('autoRefresh').checked
-        };
+        const settings = readForm();
 
         // Validate
         if (settings.itemCount < 3 || settings.itemCount > 10) {
@@ -68,13 +127,22 @@ async function saveSettings() {
             return;
         }
 
+        if (!(settings.autoRemoveThreshold >= 50 && settings.autoRemoveThreshold <= 100)) {
+            showStatus('Watched threshold must be between 50 and 100%', 'error');
+            return;
+        }
+
+        const changes = Object.fromEntries(Object.entries(settings)
+            .filter(([key, value]) => !savedFormSettings || !isSameValue(value, savedFormSettings[key])));
+
         const response = await chrome.runtime.sendMessage({
             type: 'SAVE_SETTINGS',
-            settings: settings
+            settings: changes
         });
 
         if (response.success) {
-            console.log('[Options] Settings saved:', settings);
+            savedFormSettings = settings;
+            console.log('[Options] Settings saved:', changes);
             showStatus('Settings saved successfully!', 'success');
         } else {
             showStatus('Failed to save settings', 'error');
@@ -132,7 +200,10 @@ async function refreshWatchLater() {
 
         const response = await chrome.runtime.sendMessage({ type: 'REFRESH_WATCH_LATER' });
 
-        if (response.success) {
+        if (response.success && response.status === 'partial') {
+            console.log('[Options] Watch Later data partially refreshed');
+            showStatus(`Refreshed the first ${response.count} videos; open your Watch Later page to load the rest.`, 'success');
+        } else if (response.success) {
             console.log('[Options] Watch Later data refreshed');
             showStatus('Watch Later data refreshed! Reload the YouTube homepage to see changes.', 'success');
         } else {
@@ -144,6 +215,28 @@ async function refreshWatchLater() {
     }
 }
 
+/**
+ * Bring back videos hidden from the shelf with the card menu
+ * Applies to the account last seen on YouTube
+ */
+async function unhideVideos() {
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: 'UPDATE_SHELF_PREFS',
+            changes: { unhideAll: true }
+        });
+
+        if (response.success) {
+            showStatus('Hidden videos are back on the shelf', 'success');
+        } else {
+            showStatus('Failed to show hidden videos: ' + (response.error || 'Unknown error'), 'error');
+        }
+    } catch (error) {
+        console.error('[Options] Error showing hidden videos:', error);
+        showStatus('Error showing hidden videos', 'error');
+    }
+}
+
 /**
  * Initialize options page
  */
@@ -154,6 +247,7 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('save').addEventListener('click', saveSettings);
     document.getElementById('reset').addEventListener('click', resetSettings);
     document.getElementById('refresh').addEventListener('click', refreshWatchLater);
+    document.getElementById('unhide').addEventListener('click', unhideVideos);
 
     // Real-time validation
     document.getElementById('itemCount').addEventListener('input', (e) => {
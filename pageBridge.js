@@ -0,0 +1,377 @@
+/**
+ * Page Bridge - Main World Script
+ * Runs in the page's own JavaScript world so it can read YouTube's
+ * ytInitialData / ytcfg and observe its navigation, browse responses and
+ * Watch Later edits.
+ * Everything it learns is relayed to the content scripts via postMessage.
+ * Runs on *://www.youtube.com/* at document_start
+ */
+
+(function () {
+    'use strict';
+
+    // Guard against double injection
+    if (window.__wliPageBridge) {
+        return;
+    }
+    window.__wliPageBridge = true;
+
+    // Message envelope tags (must match bridgeClient.js)
+    const BRIDGE_SOURCE = 'wli-page-bridge';
+    const CLIENT_SOURCE = 'wli-content-script';
+
+    // ytInitialData only describes the page that was loaded, not pages
+    // reached through in-app navigation
+    const initialUrl = location.href;
+
+    // Latest page data seen (from ytInitialData or yt-navigate-finish)
+    let currentPage = null;
+
+    // When the in-app navigation in progress requested its page data
+    let navigationStartedAt = null;
+
+    // Watch Later edits content scripts may request, and the request field
+    // carrying each one's video id
+    const EDIT_ACTION_FIELDS = {
+        ACTION_ADD_VIDEO: 'addedVideoId',
+        ACTION_REMOVE_VIDEO_BY_VIDEO_ID: 'removedVideoId'
+    };
+    const EDIT_PLAYLIST_URL = '/youtubei/v1/browse/edit_playlist';
+
+    /**
+     * Post a message to the content scripts
+     * @param {string} type - Message type
+     * @param {Object} payload - Structured-cloneable payload
+     * @param {string} [requestId] - Id of the request being answered
+     */
+    function post(type, payload, requestId) {
+        try {
+            window.postMessage({ source: BRIDGE_SOURCE, type, payload, requestId }, location.origin);
+        } catch (error) {
+            console.warn('[WLI Bridge] Could not relay message:', type, error);
+        }
+    }
+
+    /**
+     * Check if current page is the Watch Later playlist
+     * @returns {boolean}
+     */
+    function isWatchLaterPage() {
+        return location.pathname === '/playlist' &&
+            new URLSearchParams(location.search).get('list') === 'WL';
+    }
+
+    /**
+     * Read one ytcfg value
+     * @param {string} key
+     * @returns {*} undefined when ytcfg isn't there
+     */
+    function readYtcfg(key) {
+        const ytcfg = window.ytcfg;
+        if (!ytcfg) {
+            return undefined;
+        }
+        return typeof ytcfg.get === 'function' ? ytcfg.get(key) : ytcfg.data_?.[key];
+    }
+
+    /**
+     * Read the InnerTube request config and signed-in account from ytcfg
+     * accountId is DATASYNC_ID, which differs per Google account and per
+     * brand channel; null when signed out
+     * @returns {Object|null} { apiKey, clientName, clientVersion, sessionIndex, accountId }
+     */
+    function readConfig() {
+        if (!window.ytcfg) {
+            return null;
+        }
+
+        return {
+            apiKey: readYtcfg('INNERTUBE_API_KEY') || null,
+            clientName: readYtcfg('INNERTUBE_CLIENT_NAME') || 'WEB',
+            clientVersion: readYtcfg('INNERTUBE_CLIENT_VERSION') || null,
+            sessionIndex: String(readYtcfg('SESSION_INDEX') ?? '0'),
+            accountId: readYtcfg('LOGGED_IN') ? (readYtcfg('DATASYNC_ID') || null) : null
+        };
+    }
+
+    /**
+     * Get data describing the page currently on screen
+     * capturedAt is no later than when YouTube produced the data (ms
+     * epoch): the page load for ytInitialData, the navigation start for
+     * in-app navigation. Edits made since then may be missing from it.
+     * @returns {{url: string, data: Object|null, capturedAt: number|null}}
+     */
+    function getCurrentPage() {
+        if (currentPage && currentPage.url === location.href) {
+            return currentPage;
+        }
+
+        if (location.href === initialUrl && window.ytInitialData) {
+            return { url: initialUrl, data: window.ytInitialData, capturedAt: Math.floor(performance.timeOrigin) };
+        }
+
+        return { url: location.href, data: null, capturedAt: null };
+    }
+
+    document.addEventListener('yt-navigate-start', () => {
+        navigationStartedAt = Date.now();
+    });
+
+    /**
+     * Track in-app navigation; YouTube fires yt-navigate-finish with the
+     * new page's browse response once it has been rendered
+     */
+    document.addEventListener('yt-navigate-finish', (event) => {
+        const data = event.detail?.response?.response;
+        currentPage = {
+            url: location.href,
+            data: data && typeof data === 'object' ? data : null,
+            // No navigation start seen: fall back to the page load
+            capturedAt: navigationStartedAt ?? Math.floor(performance.timeOrigin)
+        };
+        navigationStartedAt = null;
+
+        if (isWatchLaterPage()) {
+            post('PAGE_DATA', { ...currentPage, config: readConfig() });
+        }
+    });
+
+    /**
+     * Read a fetch request's body as text
+     * Call before the request is sent: sending uses up a Request's body, and
+     * the clone is taken synchronously, before the first await
+     * @param {RequestInfo} input
+     * @param {RequestInit} [init]
+     * @returns {Promise<string|null>}
+     */
+    async function readRequestBody(input, init) {
+        if (typeof init?.body === 'string') {
+            return init.body;
+        }
+        if (input instanceof Request) {
+            return input.clone().text();
+        }
+        return null;
+    }
+
+    /**
+     * Pull the Watch Later actions out of an edit_playlist request body
+     * The hover clock button, the three-dot menu and the watch-page Save
+     * dialog all go through this one endpoint
+     * @param {string|null} body - Request body JSON
+     * @returns {Object|null} { playlistId, actions: [{ action, videoId, setVideoId, ... }] }
+     */
+    function parsePlaylistEdit(body) {
+        try {
+            const request = JSON.parse(body);
+            if (request?.playlistId !== 'WL' || !Array.isArray(request.actions)) {
+                return null;
+            }
+
+            return {
+                playlistId: request.playlistId,
+                actions: request.actions.map(action => ({
+                    action: String(action.action),
+                    videoId: action.addedVideoId || action.removedVideoId || null,
+                    setVideoId: action.setVideoId || null,
+                    // Drag-to-reorder on the Watch Later page
+                    predecessorSetVideoId: action.movedSetVideoIdPredecessor || null,
+                    successorSetVideoId: action.movedSetVideoIdSuccessor || null
+                }))
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Build the SAPISIDHASH Authorization header YouTube's own requests carry
+     * Watch Later is private, so InnerTube requests for it must be signed;
+     * content scripts ask for the header with GET_AUTHORIZATION
+     * @returns {Promise<string|null>} Header value, or null when signed out
+     */
+    async function buildAuthorizationHeader() {
+        const sapisid = document.cookie.split('; ')
+            .map(cookie => cookie.split('='))
+            .find(([name]) => name === 'SAPISID' || name === '__Secure-3PAPISID')?.[1];
+
+        if (!sapisid) {
+            return null;
+        }
+
+        const timestamp = Math.floor(Date.now() / 1000);
+        const input = new TextEncoder().encode(`${timestamp} ${sapisid} ${location.origin}`);
+        const digest = await crypto.subtle.digest('SHA-1', input);
+        const hash = Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+
+        return `SAPISIDHASH ${timestamp}_${hash}`;
+    }
+
+    /**
+     * Edit Watch Later through YouTube's playlist-edit endpoint, with the
+     * page's session config. Goes around the fetch wrapper below: the
+     * requester already updated the cache, so no PLAYLIST_EDIT is relayed
+     * @param {Array<{action: string, videoId: string}>} actions - Validated actions
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    async function editWatchLater(actions) {
+        const config = readConfig();
+        if (!config?.accountId || !config.apiKey) {
+            return { success: false, error: 'Signed out of YouTube' };
+        }
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Origin': location.origin,
+            'X-Goog-AuthUser': config.sessionIndex
+        };
+
+        const authorization = await buildAuthorizationHeader();
+        if (authorization) {
+            headers['Authorization'] = authorization;
+        }
+
+        try {
+            const response = await originalFetch.call(window, `${EDIT_PLAYLIST_URL}?key=${config.apiKey}&prettyPrint=false`, {
+                method: 'POST',
+                credentials: 'include',
+                headers,
+                body: JSON.stringify({
+                    context: readYtcfg('INNERTUBE_CONTEXT') || {
+                        client: {
+                            clientName: config.clientName,
+                            clientVersion: config.clientVersion
+                        }
+                    },
+                    playlistId: 'WL',
+                    actions: actions.map(({ action, videoId }) => ({
+                        action,
+                        [EDIT_ACTION_FIELDS[action]]: videoId
+                    }))
+                })
+            });
+
+            if (!response.ok) {
+                return { success: false, error: `HTTP ${response.status}` };
+            }
+
+            const data = await response.json();
+            return data?.status === 'STATUS_FAILED'
+                ? { success: false, error: 'YouTube rejected the edit' }
+                : { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Check a requested Watch Later edit
+     * Only adding or removing videos by id is allowed
+     * @param {*} payload - Request payload from a content script
+     * @returns {Array|null} Actions, or null if malformed
+     */
+    function parseEditRequest(payload) {
+        if (!payload || payload.playlistId !== 'WL' || !Array.isArray(payload.actions) || payload.actions.length === 0) {
+            return null;
+        }
+
+        const actions = payload.actions.map(action => ({ action: action?.action, videoId: action?.videoId }));
+        const valid = actions.every(({ action, videoId }) =>
+            Object.prototype.hasOwnProperty.call(EDIT_ACTION_FIELDS, action) &&
+            typeof videoId === 'string' && /^[\w-]{11}$/.test(videoId));
+
+        return valid ? actions : null;
+    }
+
+    /**
+     * Wrap fetch to observe browse continuation responses YouTube loads
+     * while the Watch Later page is scrolled, and Watch Later edits made
+     * anywhere on the site
+     */
+    const originalFetch = window.fetch;
+    window.fetch = function (input, init) {
+        let url = null;
+        let editBody = null;
+
+        try {
+            url = new URL(typeof input === 'string' ? input : input?.url, location.origin);
+            // Read before fetch sends the request and uses up its body
+            if (url.pathname === EDIT_PLAYLIST_URL) {
+                editBody = readRequestBody(input, init);
+            }
+        } catch (error) {
+            // Never break YouTube's own requests
+        }
+
+        const result = originalFetch.apply(this, arguments);
+
+        try {
+            if (url?.pathname === '/youtubei/v1/browse' && isWatchLaterPage()) {
+                result.then(response => response.clone().json())
+                    .then(data => {
+                        if (data?.onResponseReceivedActions) {
+                            post('BROWSE_RESPONSE', { url: location.href, data });
+                        }
+                    })
+                    .catch(() => {
+                        // Not JSON or request failed - nothing to relay
+                    });
+            } else if (editBody) {
+                // Relay only once YouTube has accepted the edit
+                Promise.all([
+                    editBody,
+                    result.then(response => (response.ok ? response.clone().json() : Promise.reject()))
+                ])
+                    .then(([body, data]) => {
+                        const edit = parsePlaylistEdit(body);
+                        if (edit && data?.status !== 'STATUS_FAILED') {
+                            post('PLAYLIST_EDIT', { url: location.href, ...edit });
+                        }
+                    })
+                    .catch(() => {
+                        // Request failed - the edit did not happen
+                    });
+            }
+        } catch (error) {
+            // Never break YouTube's own requests
+        }
+
+        return result;
+    };
+
+    /**
+     * Answer requests from the content scripts
+     */
+    window.addEventListener('message', (event) => {
+        if (event.source !== window || event.origin !== location.origin) {
+            return;
+        }
+
+        const message = event.data;
+        if (!message || message.source !== CLIENT_SOURCE || typeof message.requestId !== 'string') {
+            return;
+        }
+
+        if (message.type === 'GET_PAGE_DATA') {
+            post('PAGE_DATA', { ...getCurrentPage(), config: readConfig() }, message.requestId);
+        } else if (message.type === 'GET_ACCOUNT') {
+            post('ACCOUNT', { accountId: readConfig()?.accountId ?? null }, message.requestId);
+        } else if (message.type === 'GET_AUTHORIZATION') {
+            buildAuthorizationHeader()
+                .catch(() => null)
+                .then(authorization => post('AUTHORIZATION', { authorization }, message.requestId));
+        } else if (message.type === 'EDIT_PLAYLIST') {
+            const actions = parseEditRequest(message.payload);
+            if (!actions) {
+                post('PLAYLIST_EDIT_RESULT', { success: false, error: 'Invalid edit' }, message.requestId);
+                return;
+            }
+
+            editWatchLater(actions).then(result => post('PLAYLIST_EDIT_RESULT', result, message.requestId));
+        }
+    });
+
+    console.log('[WLI Bridge] Page bridge ready');
+})();
@@ -0,0 +1,541 @@
+/**
+ * Watch Later Playlist Parser
+ * Turns YouTube's embedded page data and browse responses into
+ * WatchLaterVideo records, and holds the small helpers every content
+ * script building those records or links to videos uses. Shared by the
+ * content scripts and the offscreen refresh document, so it must not touch
+ * the page DOM: DOM helpers only search the element they are given.
+ */
+
+const WLIPlaylistParser = (function () {
+    'use strict';
+
+    // Continuation paging
+    const YOUTUBE_ORIGIN = 'https://www.youtube.com';
+    const INNERTUBE_BROWSE_URL = `${YOUTUBE_ORIGIN}/youtubei/v1/browse`;
+    const MAX_CONTINUATION_PAGES = 60; // Watch Later caps at 5000 videos, ~100 per page
+
+    /**
+     * A Watch Later video as cached in storage and rendered by injector.js
+     * @typedef {Object} WatchLaterVideo
+     * @property {string} videoId - YouTube video id
+     * @property {string|null} setVideoId - Playlist entry id YouTube uses to move/remove the entry
+     * @property {string} title
+     * @property {string} channelTitle
+     * @property {string} channelId - UC… channel id, or '' when unknown
+     * @property {string} lengthText - Display duration, e.g. '12:34' ('' for live streams)
+     * @property {number|null} lengthSeconds
+     * @property {string} viewCountText - e.g. '1.2M views' or '3.4K watching'
+     * @property {string} publishedTimeText - e.g. '3 years ago'
+     * @property {number|null} watchProgress - Percent watched (0-100) from YouTube's resume overlay
+     * @property {Array<string>} badges - Any of 'live', 'upcoming', 'members-only'
+     * @property {boolean} isPlayable
+     * @property {string} availability - 'available', 'private', 'deleted' or 'unavailable'
+     * @property {number} firstSeenAt - When the video was first seen in Watch Later (ms epoch)
+     * @property {number} lastSeenAt - When a scrape last saw it (ms epoch)
+     * @property {{default: string, medium: string, high: string}} thumbnails
+     */
+
+    /**
+     * Locate the playlist contents array in a ytInitialData object
+     * @param {Object} data - ytInitialData
+     * @returns {Array|null} Playlist items (videos + continuation item)
+     */
+    function findPlaylistContents(data) {
+        // Navigate to playlist contents - try multiple possible paths
+        let contents = data?.contents?.twoColumnBrowseResultsRenderer?.tabs?.[0]
+            ?.tabRenderer?.content?.sectionListRenderer?.contents?.[0]
+            ?.itemSectionRenderer?.contents?.[0]
+            ?.playlistVideoListRenderer?.contents;
+
+        if (!contents || !Array.isArray(contents)) {
+            console.warn('[WL Parser] Primary path failed, trying alternative paths...');
+
+            // Try alternative structure
+            contents = data?.contents?.twoColumnBrowseResultsRenderer?.tabs?.[0]
+                ?.tabRenderer?.content?.sectionListRenderer?.contents;
+
+            console.log('[WL Parser] Alternative path result:', contents ? 'found' : 'not found');
+        }
+
+        if (!contents || !Array.isArray(contents)) {
+            return null;
+        }
+
+        return contents;
+    }
+
+    /**
+     * Collect badge flags from a playlistVideoRenderer's badges and overlays
+     * @param {Object} videoRenderer - playlistVideoRenderer
+     * @returns {Array<string>}
+     */
+    function parseBadges(videoRenderer) {
+        const badges = new Set();
+
+        for (const badge of videoRenderer.badges || []) {
+            const style = badge.metadataBadgeRenderer?.style || '';
+            if (style.includes('LIVE')) {
+                badges.add('live');
+            } else if (style.includes('MEMBERS_ONLY')) {
+                badges.add('members-only');
+            }
+        }
+
+        for (const overlay of videoRenderer.thumbnailOverlays || []) {
+            const style = overlay.thumbnailOverlayTimeStatusRenderer?.style;
+            if (style === 'LIVE') {
+                badges.add('live');
+            } else if (style === 'UPCOMING') {
+                badges.add('upcoming');
+            }
+        }
+
+        if (videoRenderer.upcomingEventData) {
+            badges.add('upcoming');
+        }
+
+        return Array.from(badges);
+    }
+
+    /**
+     * Read the resume-playback overlay's percentage, if YouTube shows one
+     * @param {Object} videoRenderer - playlistVideoRenderer
+     * @returns {number|null}
+     */
+    function parseWatchProgress(videoRenderer) {
+        for (const overlay of videoRenderer.thumbnailOverlays || []) {
+            const percent = overlay.thumbnailOverlayResumePlaybackRenderer?.percentDurationWatched;
+            if (typeof percent === 'number') {
+                return Math.max(0, Math.min(100, percent));
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Classify an entry YouTube can no longer play
+     * Private and deleted entries keep their slot in Watch Later but show a
+     * placeholder title such as "[Private video]" and no channel
+     * @param {string} title - Displayed title
+     * @param {boolean} isPlayable
+     * @returns {string} 'available', 'private', 'deleted' or 'unavailable'
+     */
+    function getAvailability(title, isPlayable) {
+        if (/^\[.*private.*\]$/i.test(title)) {
+            return 'private';
+        }
+        if (/^\[.*deleted.*\]$/i.test(title)) {
+            return 'deleted';
+        }
+        return isPlayable ? 'available' : 'unavailable';
+    }
+
+    /**
+     * Build a video object from a playlistVideoRenderer
+     * @param {Object} videoRenderer - playlistVideoRenderer
+     * @returns {WatchLaterVideo|null} Video object or null if unusable
+     */
+    function parseVideoRenderer(videoRenderer) {
+        if (!videoRenderer || !videoRenderer.videoId) {
+            return null;
+        }
+
+        // videoInfo runs look like ['1.2M views', ' • ', '3 years ago']
+        const infoRuns = (videoRenderer.videoInfo?.runs || [])
+            .map(run => run.text.trim())
+            .filter(text => text && text !== '•');
+        const lengthSeconds = parseInt(videoRenderer.lengthSeconds, 10);
+        const title = videoRenderer.title?.runs?.[0]?.text || videoRenderer.title?.simpleText || 'Unknown Title';
+        const isPlayable = videoRenderer.isPlayable !== false;
+        const availability = getAvailability(title, isPlayable);
+
+        // Extract video metadata with more robust thumbnail handling
+        const thumbnails = videoRenderer.thumbnail?.thumbnails || [];
+        const video = {
+            videoId: videoRenderer.videoId,
+            setVideoId: videoRenderer.setVideoId || null,
+            title,
+            channelTitle: videoRenderer.shortBylineText?.runs?.[0]?.text ||
+                (availability === 'available' ? 'Unknown Channel' : ''),
+            channelId: videoRenderer.shortBylineText?.runs?.[0]?.navigationEndpoint
+                ?.browseEndpoint?.browseId || '',
+            lengthText: videoRenderer.lengthText?.simpleText || '',
+            lengthSeconds: Number.isNaN(lengthSeconds) ? null : lengthSeconds,
+            viewCountText: infoRuns[0] || '',
+            publishedTimeText: infoRuns.length > 1 ? infoRuns[infoRuns.length - 1] : '',
+            watchProgress: parseWatchProgress(videoRenderer),
+            badges: parseBadges(videoRenderer),
+            isPlayable,
+            availability,
+            // Format thumbnails for compatibility with injector
+            thumbnails: {
+                default: thumbnails[0]?.url || '',
+                medium: thumbnails[thumbnails.length > 1 ? 1 : 0]?.url || thumbnails[0]?.url || '',
+                high: thumbnails[thumbnails.length - 1]?.url || thumbnails[0]?.url || ''
+            }
+        };
+
+        // Ensure we have at least videoId and title
+        return video.videoId && video.title ? video : null;
+    }
+
+    /**
+     * Get the continuation token from a continuationItemRenderer
+     * YouTube has shipped both a direct continuationCommand and one wrapped
+     * in a commandExecutorCommand
+     * @param {Object} continuationRenderer - continuationItemRenderer
+     * @returns {string|null}
+     */
+    function getContinuationToken(continuationRenderer) {
+        const endpoint = continuationRenderer?.continuationEndpoint;
+        if (!endpoint) {
+            return null;
+        }
+
+        if (endpoint.continuationCommand?.token) {
+            return endpoint.continuationCommand.token;
+        }
+
+        const commands = endpoint.commandExecutorCommand?.commands || [];
+        for (const command of commands) {
+            if (command.continuationCommand?.token) {
+                return command.continuationCommand.token;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse one page of playlist items
+     * @param {Array} items - Playlist items from ytInitialData or a continuation response
+     * @returns {{videos: Array, continuationToken: string|null}}
+     */
+    function parsePlaylistItems(items) {
+        const videos = [];
+        let continuationToken = null;
+
+        for (const item of items) {
+            if (item.continuationItemRenderer) {
+                continuationToken = getContinuationToken(item.continuationItemRenderer);
+                continue;
+            }
+
+            // Skip ads and anything else that is not a playlist video
+            const video = parseVideoRenderer(item.playlistVideoRenderer);
+            if (video) {
+                videos.push(video);
+            }
+        }
+
+        return { videos, continuationToken };
+    }
+
+    /**
+     * Read the playlist's video count from the page header, if present
+     * @param {Object} data - ytInitialData
+     * @returns {number|null}
+     */
+    function getPlaylistTotalCount(data) {
+        const header = data?.header?.playlistHeaderRenderer;
+        const text = header?.numVideosText?.runs?.map(run => run.text).join('') ||
+            header?.stats?.[0]?.runs?.map(run => run.text).join('') ||
+            header?.stats?.[0]?.simpleText ||
+            '';
+
+        const digits = text.replace(/[^0-9]/g, '');
+        return digits ? parseInt(digits, 10) : null;
+    }
+
+    /**
+     * Parse the first page of a Watch Later playlist from its page data
+     * @param {Object} data - ytInitialData
+     * @returns {{videos: Array, continuationToken: string|null, totalCount: number|null}|null}
+     */
+    function parseFirstPage(data) {
+        const contents = findPlaylistContents(data);
+        if (!contents) {
+            return null;
+        }
+
+        return { ...parsePlaylistItems(contents), totalCount: getPlaylistTotalCount(data) };
+    }
+
+    /**
+     * Read ytInitialData from the text of a page script
+     * @param {string} source - Script text
+     * @returns {Object|null}
+     */
+    function extractInitialData(source) {
+        if (!source.includes('var ytInitialData =') && !source.includes('window.ytInitialData =')) {
+            return null;
+        }
+
+        // The assignment normally ends the script; the lazy match is kept
+        // for scripts that carry more statements after it
+        const patterns = [/ytInitialData\s*=\s*({.+})\s*;\s*$/s, /ytInitialData\s*=\s*({.+?});/s];
+        for (const pattern of patterns) {
+            const match = source.match(pattern);
+            if (!match) {
+                continue;
+            }
+            try {
+                return JSON.parse(match[1]);
+            } catch (error) {
+                // Try the next pattern
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Read the InnerTube request config from the text of a ytcfg script
+     * accountId is DATASYNC_ID (per Google account and brand channel),
+     * null when signed out
+     * @param {string} source - Script text
+     * @returns {Object|null} { apiKey, clientName, clientVersion, sessionIndex, accountId }
+     */
+    function extractInnertubeConfig(source) {
+        if (!source.includes('INNERTUBE_API_KEY')) {
+            return null;
+        }
+
+        const read = key => {
+            const match = source.match(new RegExp(`"${key}"\\s*:\\s*"?([^",}]+)"?`));
+            return match ? match[1] : null;
+        };
+
+        return {
+            apiKey: read('INNERTUBE_API_KEY'),
+            clientName: read('INNERTUBE_CLIENT_NAME') || 'WEB',
+            clientVersion: read('INNERTUBE_CLIENT_VERSION'),
+            sessionIndex: read('SESSION_INDEX') || '0',
+            accountId: read('LOGGED_IN') === 'true' ? read('DATASYNC_ID') : null
+        };
+    }
+
+    /**
+     * Extract playlist items from a browse continuation response
+     * @param {Object} response - InnerTube browse response
+     * @returns {Array|null}
+     */
+    function getContinuationItems(response) {
+        for (const action of response?.onResponseReceivedActions || []) {
+            const items = action.appendContinuationItemsAction?.continuationItems ||
+                action.reloadContinuationItemsCommand?.continuationItems;
+            if (Array.isArray(items)) {
+                return items;
+            }
+        }
+
+        // Older response shape
+        const legacy = response?.continuationContents?.playlistVideoListContinuation?.contents;
+        return Array.isArray(legacy) ? legacy : null;
+    }
+
+    /**
+     * POST an InnerTube browse request
+     * @param {Object} request - Browse request fields (browseId or continuation)
+     * @param {Object} config - InnerTube config from extractInnertubeConfig()
+     * @param {string|null} authorization - SAPISIDHASH header, when the caller can build one
+     * @param {AbortSignal} [signal] - Cuts the request off
+     * @returns {Promise<Object>} Browse response
+     */
+    async function postBrowse(request, config, authorization, signal) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Origin': YOUTUBE_ORIGIN,
+            'X-Goog-AuthUser': config.sessionIndex
+        };
+
+        if (authorization) {
+            headers['Authorization'] = authorization;
+        }
+
+        const response = await fetch(`${INNERTUBE_BROWSE_URL}?key=${config.apiKey}&prettyPrint=false`, {
+            method: 'POST',
+            credentials: 'include',
+            headers,
+            body: JSON.stringify({
+                context: {
+                    client: {
+                        clientName: config.clientName,
+                        clientVersion: config.clientVersion
+                    }
+                },
+                ...request
+            }),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Browse request failed: HTTP ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Fetch the first page of Watch Later as it is now, for callers whose
+     * page data may predate the latest edits
+     * @param {Object} config - InnerTube config from extractInnertubeConfig()
+     * @param {string|null} authorization - SAPISIDHASH header, when the caller can build one
+     * @returns {Promise<Object>} Browse response, shaped like the page's ytInitialData
+     */
+    async function fetchWatchLaterPage(config, authorization) {
+        if (!config?.apiKey || !config?.clientVersion) {
+            throw new Error('No InnerTube config');
+        }
+
+        return postBrowse({ browseId: 'VLWL' }, config, authorization);
+    }
+
+    /**
+     * Fetch the next page of the playlist using a continuation token
+     * @param {string} token - Continuation token
+     * @param {Object} config - InnerTube config from extractInnertubeConfig()
+     * @param {string|null} authorization - SAPISIDHASH header, when the caller can build one
+     * @param {AbortSignal} [signal] - Cuts the request off
+     * @returns {Promise<{videos: Array, continuationToken: string|null}>}
+     */
+    async function fetchContinuationPage(token, config, authorization, signal) {
+        const items = getContinuationItems(await postBrowse({ continuation: token }, config, authorization, signal));
+        if (!items) {
+            throw new Error('Continuation response contained no playlist items');
+        }
+
+        return parsePlaylistItems(items);
+    }
+
+    /**
+     * Follow the continuation chain from the first page until it ends
+     * @param {{videos: Array, continuationToken: string|null}} firstPage
+     * @param {Object|null} config - InnerTube config from extractInnertubeConfig()
+     * @param {Function} [getAuthorization] - Async; returns an Authorization header value or null
+     * @param {number} [deadline] - Time (ms epoch) to stop at with the pages
+     *     fetched so far, for callers that must answer within a time limit
+     * @returns {Promise<{videos: Array, complete: boolean, pageCount: number}>}
+     */
+    async function fetchAllPages(firstPage, config, getAuthorization = async () => null, deadline = Infinity) {
+        const pages = [firstPage.videos];
+        let token = firstPage.continuationToken;
+        let complete = true;
+
+        if (token && (!config?.apiKey || !config?.clientVersion)) {
+            console.warn('[WL Parser] ⚠️ No InnerTube config, keeping first page only');
+            token = null;
+            complete = false;
+        }
+
+        for (let pageCount = 1; token; pageCount++) {
+            if (pageCount >= MAX_CONTINUATION_PAGES) {
+                console.warn(`[WL Parser] Stopped after ${pageCount} pages`);
+                complete = false;
+                break;
+            }
+
+            if (Date.now() >= deadline) {
+                console.warn(`[WL Parser] Out of time after ${pageCount} pages`);
+                complete = false;
+                break;
+            }
+
+            try {
+                const signal = Number.isFinite(deadline) ? AbortSignal.timeout(deadline - Date.now()) : undefined;
+                const page = await fetchContinuationPage(token, config, await getAuthorization(), signal);
+                pages.push(page.videos);
+                token = page.continuationToken;
+                console.log(`[WL Parser] Fetched continuation page ${pageCount}: ${page.videos.length} videos`);
+            } catch (error) {
+                console.error('[WL Parser] Error fetching continuation page:', error);
+                complete = false;
+                break;
+            }
+        }
+
+        return { videos: mergeVideoPages(pages), complete, pageCount: pages.length };
+    }
+
+    /**
+     * Merge playlist pages into one ordered list
+     * Later duplicates are dropped so the first (playlist) position wins
+     * @param {Array<Array>} pages - Video arrays in page order
+     * @returns {Array}
+     */
+    function mergeVideoPages(pages) {
+        const seen = new Set();
+        const merged = [];
+
+        for (const videos of pages) {
+            for (const video of videos) {
+                if (!seen.has(video.videoId)) {
+                    seen.add(video.videoId);
+                    merged.push(video);
+                }
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * Build the standard thumbnail set for a video from YouTube's image CDN
+     * @param {string} videoId
+     * @returns {{default: string, medium: string, high: string}}
+     */
+    function buildThumbnailSet(videoId) {
+        return {
+            default: `https://i.ytimg.com/vi/${videoId}/default.jpg`,
+            medium: `https://i.ytimg.com/vi/${videoId}/mqdefault.jpg`,
+            high: `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`
+        };
+    }
+
+    /**
+     * Watch URL for a video, optionally starting at a time
+     * @param {string} videoId
+     * @param {number} [seconds] - Whole seconds; 0 starts from the beginning
+     * @returns {string}
+     */
+    function getWatchUrl(videoId, seconds) {
+        const url = `${YOUTUBE_ORIGIN}/watch?v=${encodeURIComponent(videoId)}`;
+        return seconds ? `${url}&t=${seconds}s` : url;
+    }
+
+    /**
+     * Read the first matching element's trimmed text
+     * @param {Element|Document} root
+     * @param {Array<string>} selectors - Tried in order
+     * @returns {string}
+     */
+    function queryText(root, selectors) {
+        for (const selector of selectors) {
+            const text = root.querySelector(selector)?.textContent?.trim();
+            if (text) {
+                return text;
+            }
+        }
+        return '';
+    }
+
+    return {
+        parsePlaylistItems,
+        parseFirstPage,
+        getContinuationItems,
+        mergeVideoPages,
+        fetchAllPages,
+        fetchWatchLaterPage,
+        extractInitialData,
+        extractInnertubeConfig,
+        getAvailability,
+        buildThumbnailSet,
+        getWatchUrl,
+        queryText
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WLIPlaylistParser;
+}
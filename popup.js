@@ -0,0 +1,227 @@
+/**
+ * Toolbar Popup Script
+ * Lists the cached Watch Later videos with search and quick open
+ */
+
+const WATCH_LATER_PLAYLIST_URL = 'https://www.youtube.com/playlist?list=WL';
+
+// Videos from the last load, in shelf order
+let allVideos = [];
+
+/**
+ * Show a message in place of the list
+ * @param {string} text
+ * @param {boolean} withPlaylistLink - Add a link to the Watch Later page
+ */
+function showMessage(text, withPlaylistLink = false) {
+    const message = document.getElementById('message');
+    message.textContent = text;
+
+    if (withPlaylistLink) {
+        const link = document.createElement('a');
+        link.href = WATCH_LATER_PLAYLIST_URL;
+        link.textContent = 'Open Watch Later';
+        link.addEventListener('click', (event) => {
+            event.preventDefault();
+            openUrl(WATCH_LATER_PLAYLIST_URL, true);
+        });
+        message.appendChild(document.createElement('br'));
+        message.appendChild(link);
+    }
+
+    message.hidden = false;
+    document.getElementById('list').replaceChildren();
+}
+
+/**
+ * Open a URL in the current tab or a new one, then close the popup
+ * @param {string} url
+ * @param {boolean} newTab
+ */
+async function openUrl(url, newTab) {
+    if (newTab) {
+        await chrome.tabs.create({ url });
+    } else {
+        await chrome.tabs.update({ url });
+    }
+    window.close();
+}
+
+/**
+ * Create a card for one video
+ * Click or Enter opens it here; Ctrl/Cmd, middle click or the ↗ button
+ * open a new tab
+ * @param {Object} video - WatchLaterVideo
+ * @returns {Element}
+ */
+function createCard(video) {
+    const url = `https://www.youtube.com/watch?v=${encodeURIComponent(video.videoId)}&list=WL`;
+
+    const card = document.createElement('li');
+    card.className = 'card';
+    card.tabIndex = 0;
+    card.title = video.title;
+
+    const thumbnail = document.createElement('div');
+    thumbnail.className = 'thumbnail';
+
+    const img = document.createElement('img');
+    img.src = video.thumbnails?.medium || video.thumbnails?.default || '';
+    img.alt = '';
+    img.loading = 'lazy';
+    thumbnail.appendChild(img);
+
+    if (video.lengthText) {
+        const duration = document.createElement('span');
+        duration.className = 'duration';
+        duration.textContent = video.lengthText;
+        thumbnail.appendChild(duration);
+    }
+
+    const details = document.createElement('div');
+    details.className = 'details';
+
+    const title = document.createElement('p');
+    title.className = 'title';
+    title.textContent = video.title;
+
+    const channel = document.createElement('div');
+    channel.className = 'channel';
+    channel.textContent = video.channelTitle;
+
+    details.appendChild(title);
+    details.appendChild(channel);
+
+    const newTabButton = document.createElement('button');
+    newTabButton.className = 'new-tab';
+    newTabButton.textContent = '↗';
+    newTabButton.title = 'Open in new tab';
+    newTabButton.setAttribute('aria-label', `Open "${video.title}" in new tab`);
+    newTabButton.addEventListener('click', (event) => {
+        event.stopPropagation();
+        openUrl(url, true);
+    });
+
+    card.appendChild(thumbnail);
+    card.appendChild(details);
+    card.appendChild(newTabButton);
+
+    card.addEventListener('click', (event) => {
+        openUrl(url, event.ctrlKey || event.metaKey);
+    });
+    card.addEventListener('auxclick', (event) => {
+        if (event.button === 1) {
+            openUrl(url, true);
+        }
+    });
+    card.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' && event.target === card) {
+            openUrl(url, event.ctrlKey || event.metaKey);
+        }
+    });
+
+    return card;
+}
+
+/**
+ * Render the videos matching the search box
+ */
+function renderList() {
+    const query = document.getElementById('search').value.trim().toLowerCase();
+    const videos = query
+        ? allVideos.filter(video => video.title.toLowerCase().includes(query) ||
+            (video.channelTitle || '').toLowerCase().includes(query))
+        : allVideos;
+
+    if (allVideos.length === 0) {
+        showMessage('Your Watch Later playlist is empty.');
+        return;
+    }
+
+    if (videos.length === 0) {
+        showMessage('No videos match your search.');
+        return;
+    }
+
+    document.getElementById('message').hidden = true;
+    document.getElementById('list').replaceChildren(...videos.map(createCard));
+}
+
+/**
+ * Load the cached list from the background
+ */
+async function loadVideos() {
+    try {
+        const settingsResponse = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+        const response = await chrome.runtime.sendMessage({
+            type: 'GET_WATCH_LATER',
+            allItems: true,
+            settings: settingsResponse.settings
+        });
+
+        const cacheAge = document.getElementById('cacheAge');
+
+        if (!response.success) {
+            allVideos = [];
+            cacheAge.textContent = '';
+
+            if (response.signedOut) {
+                showMessage('Sign in to YouTube to see your Watch Later.');
+            } else if (response.needsRefresh) {
+                showMessage('No videos loaded yet. Visit your Watch Later page once to load them.', true);
+            } else {
+                showMessage('Could not load Watch Later: ' + (response.error || 'Unknown error'));
+            }
+            return;
+        }
+
+        allVideos = response.videos || [];
+        cacheAge.textContent = `Updated ${WLITimeFormat.formatAge(response.timestamp)}`;
+        renderList();
+
+        // Expired data is being refreshed - show the new list when it lands
+        if (response.refreshing) {
+            await refreshNow();
+        }
+    } catch (error) {
+        console.error('[Popup] Error loading videos:', error);
+        showMessage('Could not load Watch Later.');
+    }
+}
+
+/**
+ * Refresh the cached list and reload it
+ */
+async function refreshNow() {
+    const button = document.getElementById('refresh');
+    const cacheAge = document.getElementById('cacheAge');
+
+    if (button.disabled) {
+        return;
+    }
+
+    button.disabled = true;
+    cacheAge.textContent = 'Refreshing…';
+
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'REFRESH_WATCH_LATER' });
+        if (!response.success) {
+            console.warn('[Popup] Refresh failed:', response.error);
+        }
+    } catch (error) {
+        console.error('[Popup] Error refreshing:', error);
+    } finally {
+        button.disabled = false;
+    }
+
+    await loadVideos();
+}
+
+document.getElementById('search').addEventListener('input', renderList);
+document.getElementById('refresh').addEventListener('click', refreshNow);
+document.getElementById('settings').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+    window.close();
+});
+
+loadVideos();
@@ -0,0 +1,180 @@
+/**
+ * Save Detector - Content Script
+ * Notices "Save to Watch Later" / "Remove from Watch Later" actions made
+ * anywhere on YouTube (hover clock button, three-dot menu, watch-page Save
+ * dialog) and updates the cached list right away, without a new scrape.
+ * Edits are reported by pageBridge.js once YouTube has accepted them.
+ */
+
+(function () {
+    'use strict';
+
+    const { queryText, buildThumbnailSet } = WLIPlaylistParser;
+
+    // Renderers YouTube uses for video cards across home, search, channel and watch pages
+    const VIDEO_RENDERER_SELECTOR = [
+        'ytd-rich-item-renderer',
+        'ytd-video-renderer',
+        'ytd-grid-video-renderer',
+        'ytd-compact-video-renderer',
+        'ytd-playlist-video-renderer',
+        'ytd-playlist-panel-video-renderer',
+        'yt-lockup-view-model'
+    ].join(', ');
+
+    // Last card the user clicked inside; the three-dot menu popup renders
+    // outside the card, so the click that opened it is what identifies it
+    let lastInteractedCard = null;
+
+    /**
+     * Get the video id a card links to
+     * @param {Element} card - Video renderer element
+     * @returns {string|null}
+     */
+    function getCardVideoId(card) {
+        const href = card.querySelector('a[href*="/watch?v="]')?.getAttribute('href') || '';
+        return new URLSearchParams(href.split('?')[1] || '').get('v');
+    }
+
+    /**
+     * Find the card for a video: the one last clicked, else any on the page
+     * @param {string} videoId
+     * @returns {Element|null}
+     */
+    function findVideoCard(videoId) {
+        if (lastInteractedCard?.isConnected && getCardVideoId(lastInteractedCard) === videoId) {
+            return lastInteractedCard;
+        }
+
+        const link = document.querySelector(`a[href*="/watch?v=${CSS.escape(videoId)}"]`);
+        return link?.closest(VIDEO_RENDERER_SELECTOR) || null;
+    }
+
+    /**
+     * Extract the channel id from a /channel/UC… link, if it is one
+     * @param {Element|null} link
+     * @returns {string}
+     */
+    function getChannelId(link) {
+        return (link?.getAttribute('href') || '').match(/\/channel\/(UC[\w-]+)/)?.[1] || '';
+    }
+
+    /**
+     * Build a video record from a rendered video card
+     * @param {string} videoId
+     * @param {Element} card - Video renderer element
+     * @returns {Object}
+     */
+    function buildVideoFromCard(videoId, card) {
+        const titleLink = card.querySelector('#video-title-link, a#video-title, #video-title');
+        const channelLink = card.querySelector('ytd-channel-name a, #channel-name a, a[href^="/@"], a[href^="/channel/"]');
+
+        const metaParts = Array.from(card.querySelectorAll('#metadata-line span, .inline-metadata-item'))
+            .map(span => span.textContent.trim())
+            .filter(Boolean);
+
+        return {
+            videoId,
+            title: titleLink?.getAttribute('title') || titleLink?.textContent?.trim() ||
+                queryText(card, ['h3', '.yt-lockup-metadata-view-model-wiz__title']) || 'Unknown Title',
+            channelTitle: channelLink?.textContent?.trim() || 'Unknown Channel',
+            channelId: getChannelId(channelLink),
+            lengthText: queryText(card, [
+                'ytd-thumbnail-overlay-time-status-renderer #text',
+                'ytd-thumbnail-overlay-time-status-renderer .badge-shape-wiz__text',
+                'badge-shape .badge-shape-wiz__text'
+            ]),
+            viewCountText: metaParts[0] || '',
+            publishedTimeText: metaParts.length > 1 ? metaParts[metaParts.length - 1] : ''
+        };
+    }
+
+    /**
+     * Build a video record from the watch page of the video being played
+     * @param {string} videoId
+     * @returns {Object}
+     */
+    function buildVideoFromWatchPage(videoId) {
+        const metadata = document.querySelector('ytd-watch-metadata') || document;
+        const channelLink = metadata.querySelector('ytd-channel-name a, #owner #channel-name a');
+
+        return {
+            videoId,
+            title: queryText(metadata, ['h1 yt-formatted-string', 'h1']) || 'Unknown Title',
+            channelTitle: channelLink?.textContent?.trim() || 'Unknown Channel',
+            channelId: getChannelId(channelLink),
+            lengthText: queryText(document, ['.ytp-time-duration']),
+            viewCountText: '',
+            publishedTimeText: ''
+        };
+    }
+
+    /**
+     * Build a full video record for a freshly saved video
+     * @param {string} videoId
+     * @returns {Object} Video record in the scraper's WatchLaterVideo shape
+     */
+    function buildSavedVideo(videoId) {
+        const isCurrentWatchVideo = location.pathname === '/watch' &&
+            new URLSearchParams(location.search).get('v') === videoId;
+
+        const card = isCurrentWatchVideo ? null : findVideoCard(videoId);
+        const details = card ? buildVideoFromCard(videoId, card) : buildVideoFromWatchPage(videoId);
+
+        return {
+            ...details,
+            lengthSeconds: null,
+            watchProgress: null,
+            badges: [],
+            isPlayable: true,
+            availability: 'available',
+            thumbnails: buildThumbnailSet(videoId)
+        };
+    }
+
+    /**
+     * Apply a Watch Later edit reported by the page bridge
+     * @param {Object} payload - PLAYLIST_EDIT payload
+     */
+    async function handlePlaylistEdit(payload) {
+        // Edits only apply to the cached list of the account that made them
+        const accountId = await WLIBridge.getAccountId();
+        if (!accountId) {
+            return;
+        }
+
+        for (const edit of payload.actions) {
+            if (!edit.videoId) {
+                continue;
+            }
+
+            if (edit.action === 'ACTION_ADD_VIDEO') {
+                const video = buildSavedVideo(edit.videoId);
+                console.log(`[WLI Saves] Saved to Watch Later: "${video.title}" (${video.videoId})`);
+
+                chrome.runtime.sendMessage({ type: 'WATCH_LATER_ITEM_ADDED', accountId, video }).catch(() => { });
+            } else if (edit.action === 'ACTION_REMOVE_VIDEO_BY_VIDEO_ID') {
+                console.log(`[WLI Saves] Removed from Watch Later: ${edit.videoId}`);
+
+                chrome.runtime.sendMessage({ type: 'WATCH_LATER_ITEM_REMOVED', accountId, videoId: edit.videoId }).catch(() => { });
+            }
+        }
+    }
+
+    if (typeof WLIBridge === 'undefined') {
+        console.warn('[WLI Saves] Page bridge client missing, save detection disabled');
+        return;
+    }
+
+    // Capture phase so YouTube's own handlers can't stop it first
+    document.addEventListener('click', (event) => {
+        const card = event.target instanceof Element ? event.target.closest(VIDEO_RENDERER_SELECTOR) : null;
+        if (card) {
+            lastInteractedCard = card;
+        }
+    }, true);
+
+    WLIBridge.on('PLAYLIST_EDIT', handlePlaylistEdit);
+
+    console.log('[WLI Saves] Watch Later save detection active');
+})();
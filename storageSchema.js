@@ -0,0 +1,172 @@
+/**
+ * Storage Schema
+ * Versioned layout of chrome.storage.local and the migrations between
+ * versions. Migrations are pure functions from one storage snapshot (a
+ * plain object, as returned by chrome.storage.local.get(null)) to the next,
+ * so every version bump can be run from Node - see checkStorageSchema.js.
+ *
+ * Versions:
+ * 1 - Unversioned: one `watchLaterData` list for whoever was signed in,
+ *     video records of varying shape
+ * 2 - Per-account caches (`watchLaterData:<hash>`), `activeAccount`,
+ *     `refreshState`; settings limited to known fields. Optional keys
+ *     added since: `settingsModified` (per-field times for
+ *     chrome.storage.sync), `shelfViewedAt` (when each account's shelf was
+ *     last seen), `shelfPrefs` (videos hidden from or pinned to each
+ *     account's shelf) and `watchProgress` (playback positions per account)
+ *
+ * To change the layout of existing keys, or add a key that needs a value
+ * from older data: bump STORAGE_SCHEMA_VERSION, add a migration for the
+ * new version to MIGRATIONS and a storage fixture for the old one to
+ * mockData.js. A new optional key whose absence reads as its default
+ * (e.g. "never" / "none") needs no bump; list it under the current
+ * version above.
+ */
+
+const STORAGE_SCHEMA_VERSION = 2;
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+// Keys shared with background.js
+const LEGACY_CACHE_KEY = 'watchLaterData';
+const ACCOUNT_CACHE_PREFIX = 'watchLaterData:';
+const SETTINGS_STORAGE_KEY = 'settings';
+
+/**
+ * Bring a cached video record to the current WatchLaterVideo shape
+ * @param {Object} video - Cached record (any version)
+ * @param {number} seenAt - Fallback for missing seen times
+ * @returns {Object}
+ */
+function normalizeVideo(video, seenAt) {
+    const availability = video.availability || 'available';
+
+    return {
+        videoId: video.videoId,
+        setVideoId: video.setVideoId ?? null,
+        title: video.title || 'Unknown Title',
+        channelTitle: video.channelTitle ?? '',
+        channelId: video.channelId ?? '',
+        lengthText: video.lengthText ?? '',
+        lengthSeconds: typeof video.lengthSeconds === 'number' ? video.lengthSeconds : null,
+        viewCountText: video.viewCountText ?? '',
+        publishedTimeText: video.publishedTimeText ?? '',
+        watchProgress: typeof video.watchProgress === 'number' ? video.watchProgress : null,
+        badges: Array.isArray(video.badges) ? video.badges : [],
+        isPlayable: video.isPlayable ?? availability === 'available',
+        availability,
+        firstSeenAt: video.firstSeenAt ?? seenAt,
+        lastSeenAt: video.lastSeenAt ?? seenAt,
+        thumbnails: {
+            default: video.thumbnails?.default || '',
+            medium: video.thumbnails?.medium || video.thumbnails?.default || '',
+            high: video.thumbnails?.high || video.thumbnails?.medium || video.thumbnails?.default || ''
+        }
+    };
+}
+
+/**
+ * Bring a per-account cache entry to the current shape, dropping unknown fields
+ * @param {Object} cache - Stored cache entry
+ * @returns {Object}
+ */
+function normalizeCache(cache) {
+    const timestamp = typeof cache.timestamp === 'number' ? cache.timestamp : 0;
+
+    return {
+        videos: (Array.isArray(cache.videos) ? cache.videos : [])
+            .filter(video => video && typeof video.videoId === 'string')
+            .map(video => normalizeVideo(video, timestamp)),
+        timestamp,
+        updatedAt: cache.updatedAt ?? timestamp,
+        revision: cache.revision ?? 0,
+        source: cache.source ?? 'scraper',
+        strategy: cache.strategy ?? null,
+        complete: cache.complete ?? true,
+        totalCount: cache.totalCount ?? null,
+        removals: Array.isArray(cache.removals) ? cache.removals : [],
+        changeLog: Array.isArray(cache.changeLog) ? cache.changeLog : []
+    };
+}
+
+/**
+ * Version 1 → 2
+ * The unkeyed list can't be attributed to an account, so it is dropped
+ * rather than shown to whoever signs in next. Per-account caches written
+ * by unversioned builds are normalized.
+ * @param {Object} storage - Version 1 snapshot
+ * @returns {Object} Version 2 snapshot
+ */
+function migrateToV2(storage) {
+    const next = {};
+
+    for (const [key, value] of Object.entries(storage)) {
+        if (key === LEGACY_CACHE_KEY) {
+            continue;
+        }
+
+        if (key.startsWith(ACCOUNT_CACHE_PREFIX)) {
+            if (value && typeof value === 'object') {
+                next[key] = normalizeCache(value);
+            }
+            continue;
+        }
+
+        next[key] = value;
+    }
+
+    return next;
+}
+
+// Migration producing each version from the one before it
+const MIGRATIONS = {
+    2: migrateToV2
+};
+
+/**
+ * Keep only known settings fields
+ * @param {Object} settings - Stored settings
+ * @param {Object} defaults - Current default settings
+ * @returns {Object}
+ */
+function pruneSettings(settings, defaults) {
+    return Object.fromEntries(Object.entries(settings).filter(([key]) => key in defaults));
+}
+
+/**
+ * Run every migration newer than the snapshot's version
+ * @param {Object} storage - Storage snapshot
+ * @param {Object} defaultSettings - Current default settings
+ * @returns {{storage: Object, fromVersion: number, toVersion: number}}
+ * @throws {Error} If the snapshot is newer than this build (downgrade)
+ */
+function migrateStorage(storage, defaultSettings) {
+    const fromVersion = storage[SCHEMA_VERSION_KEY] || 1;
+
+    if (fromVersion > STORAGE_SCHEMA_VERSION) {
+        throw new Error(`Storage schema ${fromVersion} is newer than supported ${STORAGE_SCHEMA_VERSION}`);
+    }
+
+    let next = { ...storage };
+    for (let version = fromVersion + 1; version <= STORAGE_SCHEMA_VERSION; version++) {
+        next = MIGRATIONS[version](next);
+    }
+
+    if (next[SETTINGS_STORAGE_KEY] && typeof next[SETTINGS_STORAGE_KEY] === 'object') {
+        next[SETTINGS_STORAGE_KEY] = pruneSettings(next[SETTINGS_STORAGE_KEY], defaultSettings);
+    }
+
+    next[SCHEMA_VERSION_KEY] = STORAGE_SCHEMA_VERSION;
+    return { storage: next, fromVersion, toVersion: STORAGE_SCHEMA_VERSION };
+}
+
+// Export for Node (migration checks in checkStorageSchema.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STORAGE_SCHEMA_VERSION,
+        SCHEMA_VERSION_KEY,
+        MIGRATIONS,
+        migrateStorage,
+        normalizeCache,
+        normalizeVideo
+    };
+}
@@ -0,0 +1,35 @@
+/**
+ * Time Formatting
+ * How times are worded for the user. Loaded as a content script before
+ * injector.js and by the toolbar popup, so both word them the same way.
+ */
+
+const WLITimeFormat = (function () {
+    'use strict';
+
+    /**
+     * Format how long ago data was scraped
+     * @param {number} timestamp - Scrape time (ms epoch)
+     * @returns {string} e.g. 'just now', '5 min ago', '2 hr ago'
+     */
+    function formatAge(timestamp) {
+        const minutes = Math.floor((Date.now() - timestamp) / 60000);
+
+        if (minutes < 1) {
+            return 'just now';
+        }
+        if (minutes < 60) {
+            return `${minutes} min ago`;
+        }
+        if (minutes < 24 * 60) {
+            return `${Math.floor(minutes / 60)} hr ago`;
+        }
+
+        const days = Math.floor(minutes / (24 * 60));
+        return `${days} day${days === 1 ? '' : 's'} ago`;
+    }
+
+    return {
+        formatAge
+    };
+})();
@@ -0,0 +1,77 @@
+/**
+ * Toast - Content Script
+ * Short notices at the bottom left of the page, styled after YouTube's
+ * snackbars. One toast element is shared; a new notice replaces the
+ * current one. A notice can carry one action button (e.g. "Undo").
+ */
+
+const WLIToast = (function () {
+    'use strict';
+
+    const TOAST_ID = 'wli-toast';
+    const DEFAULT_DURATION = 3000; // ms
+
+    let hideTimer = null;
+
+    /**
+     * Get the shared toast element, creating it on first use
+     * @returns {Element}
+     */
+    function getToast() {
+        let toast = document.getElementById(TOAST_ID);
+        if (!toast) {
+            toast = document.createElement('div');
+            toast.id = TOAST_ID;
+            toast.className = 'wli-toast';
+            toast.setAttribute('role', 'status');
+            document.body.appendChild(toast);
+        }
+        return toast;
+    }
+
+    /**
+     * Hide the toast
+     */
+    function hide() {
+        clearTimeout(hideTimer);
+        document.getElementById(TOAST_ID)?.classList.remove('wli-toast-visible');
+    }
+
+    /**
+     * Show a notice
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {{label: string, run: Function}} [options.action] - Button; clicking it hides the toast
+     * @param {number} [options.duration] - ms before it hides
+     */
+    function show(text, options = {}) {
+        const toast = getToast();
+
+        const message = document.createElement('span');
+        message.className = 'wli-toast-text';
+        message.textContent = text;
+        toast.replaceChildren(message);
+
+        if (options.action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'wli-toast-action';
+            button.textContent = options.action.label;
+            button.addEventListener('click', () => {
+                hide();
+                options.action.run();
+            }, { once: true });
+            toast.appendChild(button);
+        }
+
+        toast.classList.add('wli-toast-visible');
+
+        clearTimeout(hideTimer);
+        hideTimer = setTimeout(hide, options.duration || DEFAULT_DURATION);
+    }
+
+    return {
+        show,
+        hide
+    };
+})();
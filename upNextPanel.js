@@ -0,0 +1,97 @@
+/**
+ * Up Next Panel - Content Script
+ * "Next in Watch Later" list at the top of the watch page sidebar, made of
+ * the shelf's own cards (createVideoCard() in injector.js) laid out like
+ * YouTube's compact related videos. watchPage.js decides what it shows.
+ */
+
+const WLIUpNextPanel = (function () {
+    'use strict';
+
+    const PANEL_ID = 'wli-up-next';
+    const SIDEBAR_SELECTOR = 'ytd-watch-flexy #secondary-inner, ytd-watch-flexy #secondary';
+    const SIDEBAR_RETRY_DELAY = 500; // ms
+    const MAX_SIDEBAR_RETRIES = 10;
+
+    let retryTimer = null;
+
+    /**
+     * Build the panel
+     * @param {Array} videos - Upcoming Watch Later videos
+     * @param {boolean} autoplay - Whether the first one plays next
+     * @returns {Element}
+     */
+    function createPanel(videos, autoplay) {
+        const panel = document.createElement('div');
+        panel.id = PANEL_ID;
+        panel.className = 'wli-up-next';
+        panel.setAttribute('role', 'region');
+        panel.setAttribute('aria-label', 'Next in Watch Later');
+
+        const header = document.createElement('div');
+        header.className = 'wli-up-next-header';
+
+        const title = document.createElement('h3');
+        title.className = 'wli-up-next-title';
+        title.textContent = 'Next in Watch Later';
+        header.appendChild(title);
+
+        if (autoplay) {
+            const hint = document.createElement('span');
+            hint.className = 'wli-up-next-autoplay';
+            hint.textContent = 'Autoplay';
+            hint.title = 'The first video plays when this one ends';
+            header.appendChild(hint);
+        }
+
+        const list = document.createElement('div');
+        list.className = 'wli-up-next-list';
+        list.setAttribute('role', 'list');
+        videos.forEach((item, index) => list.appendChild(createVideoCard(item, index)));
+
+        panel.appendChild(header);
+        panel.appendChild(list);
+        return panel;
+    }
+
+    /**
+     * Remove the panel
+     */
+    function remove() {
+        clearTimeout(retryTimer);
+        document.getElementById(PANEL_ID)?.remove();
+    }
+
+    /**
+     * Show the panel, replacing any earlier one. The sidebar can render
+     * after the page, so its absence is retried for a few seconds
+     * @param {Array} videos - Upcoming Watch Later videos
+     * @param {boolean} autoplay - Whether the first one plays next
+     * @param {number} [attempt]
+     */
+    function render(videos, autoplay, attempt = 0) {
+        remove();
+
+        if (videos.length === 0 || typeof createVideoCard !== 'function') {
+            return;
+        }
+
+        const sidebar = document.querySelector(SIDEBAR_SELECTOR);
+        if (!sidebar) {
+            if (attempt < MAX_SIDEBAR_RETRIES) {
+                retryTimer = setTimeout(() => render(videos, autoplay, attempt + 1), SIDEBAR_RETRY_DELAY);
+            } else {
+                console.log('[WLI Panel] No sidebar on this watch page');
+            }
+            return;
+        }
+
+        sidebar.prepend(createPanel(videos, autoplay));
+        console.log(`[WLI Panel] Showing ${videos.length} videos next in Watch Later`);
+    }
+
+    return {
+        render,
+        remove
+    };
+})();
@@ -0,0 +1,160 @@
+/**
+ * Watch Later Actions - Content Script
+ * Edits the user's Watch Later from outside the playlist page. The cached
+ * list is updated first so the shelf reacts at once; if YouTube then
+ * rejects the edit, the cache change is rolled back.
+ *
+ * The network layer is a transport function, by default the page bridge
+ * (YouTube's own edit_playlist endpoint with the page's session). Swap it
+ * for development, e.g. against a local mock endpoint:
+ *   WLIWatchLaterActions.setTransport(
+ *       WLIWatchLaterActions.createHttpTransport('http://localhost:8080/edit_playlist'))
+ * or fully offline:
+ *   WLIWatchLaterActions.setTransport(WLIWatchLaterActions.createMockTransport())
+ */
+
+const WLIWatchLaterActions = (function () {
+    'use strict';
+
+    /**
+     * Transport: sends one Watch Later edit
+     * @callback Transport
+     * @param {Array<{action: string, videoId: string}>} actions
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+
+    /** @type {Transport} */
+    const bridgeTransport = actions => WLIBridge.editWatchLater(actions);
+
+    /** @type {Transport} */
+    let transport = bridgeTransport;
+
+    /**
+     * Create a transport that POSTs InnerTube-shaped edit requests to a URL
+     * The endpoint answers like YouTube: non-2xx or
+     * { status: 'STATUS_FAILED' } means the edit was rejected
+     * @param {string} endpoint
+     * @returns {Transport}
+     */
+    function createHttpTransport(endpoint) {
+        return async (actions) => {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    playlistId: 'WL',
+                    actions: actions.map(({ action, videoId }) => ({
+                        action,
+                        [action === 'ACTION_ADD_VIDEO' ? 'addedVideoId' : 'removedVideoId']: videoId
+                    }))
+                })
+            });
+
+            if (!response.ok) {
+                return { success: false, error: `HTTP ${response.status}` };
+            }
+
+            const data = await response.json().catch(() => null);
+            return data?.status === 'STATUS_FAILED'
+                ? { success: false, error: 'Edit rejected' }
+                : { success: true };
+        };
+    }
+
+    /**
+     * Create a transport that never touches the network
+     * Edits are logged and answered after a short delay, like a round trip
+     * @param {Object} [options]
+     * @param {boolean} [options.fail] - Reject every edit, to try rollbacks
+     * @param {number} [options.delay=300] - ms before answering
+     * @returns {Transport}
+     */
+    function createMockTransport(options = {}) {
+        return async (actions) => {
+            console.log('[WLI Actions] Mock edit:', actions);
+            await new Promise(resolve => setTimeout(resolve, options.delay ?? 300));
+            return options.fail ? { success: false, error: 'Mock rejection' } : { success: true };
+        };
+    }
+
+    /**
+     * Apply changes to this account's cached list
+     * @param {string} accountId
+     * @param {Object} changes - See applyChangesToList() in background.js
+     * @returns {Promise<Object>} Background response
+     */
+    function applyToCache(accountId, changes) {
+        return chrome.runtime.sendMessage({ type: 'APPLY_WATCH_LATER_CHANGES', accountId, changes });
+    }
+
+    /**
+     * Send an edit through the transport, turning exceptions into failures
+     * @param {Array<{action: string, videoId: string}>} actions
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    async function send(actions) {
+        try {
+            return await transport(actions);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove a video from Watch Later
+     * @param {Object} video - WatchLaterVideo
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    async function removeVideo(video) {
+        const accountId = await WLIBridge.getAccountId();
+        if (!accountId) {
+            return { success: false, error: 'Signed out of YouTube' };
+        }
+
+        // Optimistic: the shelf drops the card right away
+        const applied = await applyToCache(accountId, { removedIds: [video.videoId] }).catch(() => null);
+
+        const result = await send([{ action: 'ACTION_REMOVE_VIDEO_BY_VIDEO_ID', videoId: video.videoId }]);
+
+        if (!result.success) {
+            console.warn('[WLI Actions] Removal failed, rolling back:', result.error);
+            if (applied?.removed?.length) {
+                await applyToCache(accountId, { restored: applied.removed }).catch(() => { });
+            }
+            return result;
+        }
+
+        console.log(`[WLI Actions] Removed ${video.videoId} from Watch Later`);
+        return { success: true };
+    }
+
+    // Removals a closed watch page handed to the background (watchPage.js),
+    // made through this tab if it is signed in to the same account
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.type === 'GET_ACCOUNT_ID') {
+            WLIBridge.getAccountId().then(accountId => sendResponse({ accountId }));
+            return true;
+        }
+
+        if (message.type === 'REMOVE_FROM_WATCH_LATER') {
+            removeVideo(message.video).then(sendResponse);
+            return true;
+        }
+
+        return false;
+    });
+
+    return {
+        removeVideo,
+        createHttpTransport,
+        createMockTransport,
+
+        /**
+         * Replace the network layer
+         * @param {Transport|null} next - null restores the page bridge
+         */
+        setTransport(next) {
+            transport = next || bridgeTransport;
+        }
+    };
+})();
@@ -9,38 +9,55 @@
 
     console.log('[WL Scraper] Content script loaded on Watch Later page');
 
+    // Shared with the offscreen refresh document (playlistParser.js)
+    const {
+        parsePlaylistItems,
+        parseFirstPage,
+        getContinuationItems,
+        mergeVideoPages,
+        fetchAllPages,
+        fetchWatchLaterPage,
+        extractInitialData,
+        extractInnertubeConfig,
+        getAvailability,
+        buildThumbnailSet,
+        queryText
+    } = WLIPlaylistParser;
+
+    // Result of the last full scrape (all pages merged), kept in step with
+    // the edits sent to the background since
+    let lastScrape = null;
+
+    // Page data for the playlist currently on screen, and the InnerTube
+    // config relayed by the page bridge (pageBridge.js)
+    let pageData = null;
+    let pageDataStrategy = null; // 'page-bridge', 'window', 'script-tag' or 'innertube'
+    let pageDataCapturedAt = null; // No later than when YouTube produced pageData (ms epoch)
+    let bridgeConfig = null;
+
+    // Script tags only describe the first page load, so they go stale
+    // once YouTube navigates in-app
+    let hasNavigatedInApp = false;
+
     /**
-     * Extract playlist data from YouTube's embedded data
-     * YouTube embeds playlist info in window.ytInitialData
+     * Extract the first page of playlist data from YouTube's embedded data
+     * Reads the page data resolved by waitForYtData()
+     * @returns {{videos: Array, continuationToken: string|null, totalCount: number|null}|null}
      */
     function extractWatchLaterData() {
         try {
             // YouTube stores page data in ytInitialData
-            if (!window.ytInitialData) {
+            if (!pageData) {
                 console.error('[WL Scraper] ytInitialData not found');
                 return null;
             }
 
-            const data = window.ytInitialData;
+            const data = pageData;
             console.log('[WL Scraper] Full ytInitialData structure:', JSON.stringify(Object.keys(data)));
 
-            // Navigate to playlist contents - try multiple possible paths
-            let contents = data?.contents?.twoColumnBrowseResultsRenderer?.tabs?.[0]
-                ?.tabRenderer?.content?.sectionListRenderer?.contents?.[0]
-                ?.itemSectionRenderer?.contents?.[0]
-                ?.playlistVideoListRenderer?.contents;
-
-            if (!contents || !Array.isArray(contents)) {
-                console.warn('[WL Scraper] Primary path failed, trying alternative paths...');
+            const page = parseFirstPage(data);
 
-                // Try alternative structure
-                contents = data?.contents?.twoColumnBrowseResultsRenderer?.tabs?.[0]
-                    ?.tabRenderer?.content?.sectionListRenderer?.contents;
-
-                console.log('[WL Scraper] Alternative path result:', contents ? 'found' : 'not found');
-            }
-
-            if (!contents || !Array.isArray(contents)) {
+            if (!page) {
                 console.error('[WL Scraper] Playlist contents not found in ytInitialData');
                 console.log('[WL Scraper] Trying to log structure for debugging...');
 
@@ -56,51 +73,202 @@
                 return null;
             }
 
-            const videos = [];
+            console.log(`[WL Scraper] Extracted ${page.videos.length} videos from first page` +
+                (page.continuationToken ? ' (more pages available)' : ''));
+            if (page.videos.length > 0) {
+                console.log('[WL Scraper] Sample video:', page.videos[0]);
+            }
 
-            // Parse each video item
-            for (const item of contents) {
-                const videoRenderer = item.playlistVideoRenderer;
+            return page;
 
-                // Skip continuation items or ads
-                if (!videoRenderer || !videoRenderer.videoId) {
-                    continue;
-                }
+        } catch (error) {
+            console.error('[WL Scraper] Error extracting data:', error);
+            console.error('[WL Scraper] Stack trace:', error.stack);
+            return null;
+        }
+    }
 
-                // Extract video metadata with more robust thumbnail handling
-                const thumbnails = videoRenderer.thumbnail?.thumbnails || [];
-                const video = {
-                    videoId: videoRenderer.videoId,
-                    title: videoRenderer.title?.runs?.[0]?.text || videoRenderer.title?.simpleText || 'Unknown Title',
-                    channelTitle: videoRenderer.shortBylineText?.runs?.[0]?.text || 'Unknown Channel',
-                    channelId: videoRenderer.shortBylineText?.runs?.[0]?.navigationEndpoint
-                        ?.browseEndpoint?.browseId || '',
-                    lengthText: videoRenderer.lengthText?.simpleText || '',
-                    // Format thumbnails for compatibility with injector
-                    thumbnails: {
-                        default: thumbnails[0]?.url || '',
-                        medium: thumbnails[thumbnails.length > 1 ? 1 : 0]?.url || thumbnails[0]?.url || '',
-                        high: thumbnails[thumbnails.length - 1]?.url || thumbnails[0]?.url || ''
-                    }
-                };
+    /**
+     * Read the InnerTube request config, preferring the live ytcfg relayed
+     * by the page bridge over the page's ytcfg script tags
+     * @returns {Object|null} { apiKey, clientName, clientVersion, sessionIndex, accountId }
+     */
+    function getInnertubeConfig() {
+        if (bridgeConfig?.apiKey && bridgeConfig?.clientVersion) {
+            return bridgeConfig;
+        }
 
-                // Ensure we have at least videoId and title
-                if (video.videoId && video.title) {
-                    videos.push(video);
-                }
+        for (const script of document.querySelectorAll('script')) {
+            const config = extractInnertubeConfig(script.textContent);
+            if (config) {
+                return config;
             }
+        }
 
-            console.log(`[WL Scraper] Successfully extracted ${videos.length} videos from Watch Later`);
-            if (videos.length > 0) {
-                console.log('[WL Scraper] Sample video:', videos[0]);
-            }
-            return videos;
+        console.warn('[WL Scraper] Could not find InnerTube config in script tags');
+        return null;
+    }
 
-        } catch (error) {
-            console.error('[WL Scraper] Error extracting data:', error);
-            console.error('[WL Scraper] Stack trace:', error.stack);
+    /**
+     * Get the signed-in account the playlist belongs to
+     * Switching accounts reloads the page, so this never changes in-app
+     * @returns {string|null} ytcfg DATASYNC_ID, or null when signed out
+     */
+    function getAccountId() {
+        return getInnertubeConfig()?.accountId ?? null;
+    }
+
+    /**
+     * Get the SAPISIDHASH authorization header YouTube's web client sends,
+     * built by the page bridge
+     * Watch Later is private, so continuation requests must be authenticated
+     * @returns {Promise<string|null>}
+     */
+    async function getAuthorization() {
+        return typeof WLIBridge !== 'undefined' ? WLIBridge.getAuthorization() : null;
+    }
+
+    /**
+     * Convert a display duration ('1:02:03') to seconds
+     * @param {string} text
+     * @returns {number|null}
+     */
+    function parseDurationText(text) {
+        if (!/^\d+(:\d{1,2})+$/.test(text)) {
+            return null;
+        }
+        return text.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+    }
+
+    /**
+     * Get the video id a rendered playlist row links to
+     * @param {Element} row - ytd-playlist-video-renderer element
+     * @returns {string|null}
+     */
+    function getRowVideoId(row) {
+        const href = row.querySelector('a#video-title')?.getAttribute('href') || '';
+        return new URLSearchParams(href.split('?')[1] || '').get('v');
+    }
+
+    /**
+     * Build a video object from a rendered ytd-playlist-video-renderer row
+     * @param {Element} row - ytd-playlist-video-renderer element
+     * @returns {WatchLaterVideo|null} Video object or null if unusable
+     */
+    function parseVideoRow(row) {
+        const link = row.querySelector('a#video-title');
+        const videoId = getRowVideoId(row);
+
+        if (!videoId) {
+            return null;
+        }
+
+        const title = link.getAttribute('title') || link.textContent.trim() || 'Unknown Title';
+        const isPlayable = !row.hasAttribute('unplayable');
+        const availability = getAvailability(title, isPlayable);
+        const channelLink = row.querySelector('ytd-channel-name a, #channel-name a');
+        const channelPath = channelLink?.getAttribute('href') || '';
+        const lengthText = queryText(row, [
+            'ytd-thumbnail-overlay-time-status-renderer #text',
+            'ytd-thumbnail-overlay-time-status-renderer .badge-shape-wiz__text',
+            '#time-status #text'
+        ]);
+
+        // #video-info renders the same runs as videoRenderer.videoInfo
+        const infoParts = Array.from(row.querySelectorAll('#video-info span'))
+            .map(span => span.textContent.trim())
+            .filter(text => text && text !== '•');
+
+        const progressWidth = parseFloat(row.querySelector('ytd-thumbnail-overlay-resume-playback-renderer #progress')?.style.width);
+
+        const badges = [];
+        if (row.querySelector('.badge-style-type-live-now, .badge-style-type-live-now-alternate')) {
+            badges.push('live');
+        }
+        if (row.querySelector('.badge-style-type-members-only')) {
+            badges.push('members-only');
+        }
+        if (row.querySelector('ytd-thumbnail-overlay-time-status-renderer[overlay-style="UPCOMING"]')) {
+            badges.push('upcoming');
+        }
+
+        return {
+            videoId,
+            setVideoId: null, // Not exposed in the rendered markup
+            title,
+            channelTitle: channelLink?.textContent?.trim() ||
+                (availability === 'available' ? 'Unknown Channel' : ''),
+            // Handle-style URLs (/@name) carry no channel id
+            channelId: channelPath.match(/\/channel\/(UC[\w-]+)/)?.[1] || '',
+            lengthText,
+            lengthSeconds: parseDurationText(lengthText),
+            viewCountText: infoParts[0] || '',
+            publishedTimeText: infoParts.length > 1 ? infoParts[infoParts.length - 1] : '',
+            watchProgress: Number.isNaN(progressWidth) ? null : progressWidth,
+            badges,
+            isPlayable,
+            availability,
+            thumbnails: buildThumbnailSet(videoId)
+        };
+    }
+
+    /**
+     * Fallback extractor: read the playlist from the rendered page
+     * Only rows YouTube has rendered are visible, so the result is partial
+     * while a continuation spinner is still present
+     * @returns {{videos: Array, complete: boolean, totalCount: null}|null}
+     */
+    function extractVideosFromRenderedDOM() {
+        const rows = document.querySelectorAll('ytd-playlist-video-renderer');
+        if (rows.length === 0) {
+            console.warn('[WL Scraper] No rendered playlist rows found');
             return null;
         }
+
+        const videos = mergeVideoPages([
+            Array.from(rows).map(parseVideoRow).filter(Boolean)
+        ]);
+        const complete = !document.querySelector('ytd-playlist-video-list-renderer ytd-continuation-item-renderer');
+
+        console.log(`[WL Scraper] Extracted ${videos.length} videos from rendered DOM` +
+            (complete ? '' : ' - PARTIAL'));
+
+        return { videos, complete, totalCount: null };
+    }
+
+    /**
+     * Scrape the whole playlist: first page from ytInitialData, then
+     * every continuation page until the chain ends. Falls back to the
+     * rendered DOM when no usable ytInitialData was found.
+     * capturedAt is when YouTube produced the first page; later edits
+     * are replayed onto the snapshot by the background.
+     * @returns {Promise<{videos: Array, complete: boolean, totalCount: number|null, strategy: string, capturedAt: number}|null>}
+     */
+    async function scrapeAllPages() {
+        const firstPage = extractWatchLaterData();
+        if (!firstPage) {
+            console.warn('[WL Scraper] ytInitialData unusable, falling back to rendered DOM');
+            const fromDOM = extractVideosFromRenderedDOM();
+            // Rows are rendered from the page data, plus edits made on this page
+            return fromDOM ? { ...fromDOM, strategy: 'rendered-dom', capturedAt: Math.floor(performance.timeOrigin) } : null;
+        }
+
+        const config = firstPage.continuationToken ? getInnertubeConfig() : null;
+        const { videos, complete, pageCount } = await fetchAllPages(firstPage, config, getAuthorization);
+
+        // The header count includes hidden unavailable videos, so only treat
+        // a shortfall as partial when the continuation chain itself broke
+        console.log(`[WL Scraper] Scraped ${videos.length} videos across ${pageCount} page(s)` +
+            (firstPage.totalCount !== null ? ` (playlist reports ${firstPage.totalCount})` : '') +
+            (complete ? '' : ' - PARTIAL'));
+
+        return {
+            videos,
+            complete,
+            totalCount: firstPage.totalCount,
+            strategy: pageDataStrategy,
+            capturedAt: pageDataCapturedAt
+        };
     }
 
     /**
@@ -110,14 +278,10 @@
         try {
             const scripts = document.querySelectorAll('script');
             for (const script of scripts) {
-                const content = script.textContent;
-                if (content.includes('var ytInitialData =') || content.includes('window.ytInitialData =')) {
-                    // Try to extract the JSON
-                    const match = content.match(/ytInitialData\s*=\s*({.+?});/s);
-                    if (match && match[1]) {
-                        console.log('[WL Scraper] Found ytInitialData in script tag');
-                        return JSON.parse(match[1]);
-                    }
+                const data = extractInitialData(script.textContent);
+                if (data) {
+                    console.log('[WL Scraper] Found ytInitialData in script tag');
+                    return data;
                 }
             }
             console.warn('[WL Scraper] Could not find ytInitialData in script tags');
@@ -128,20 +292,55 @@
         }
     }
 
+    /**
+     * Ask the page bridge for the data of the page currently on screen
+     * @returns {Promise<{data: Object|null, capturedAt: number|null}|null>} null if unavailable or stale
+     */
+    async function requestBridgePageData() {
+        if (typeof WLIBridge === 'undefined') {
+            return null;
+        }
+
+        const page = await WLIBridge.request('GET_PAGE_DATA');
+
+        // The bridge may still hold the previous page mid-navigation
+        if (!page || page.url !== location.href) {
+            return null;
+        }
+
+        if (page.config) {
+            bridgeConfig = page.config;
+        }
+
+        return page;
+    }
+
     /**
      * Wait for ytInitialData to be available and populated
-     * YouTube may load this asynchronously
+     * YouTube may load this asynchronously. The page bridge is tried first
+     * since it sees what YouTube actually rendered, even after in-app
+     * navigation; window and script-tag lookups are fallbacks.
      */
     function waitForYtData(callback, maxAttempts = 30) {
         let attempts = 0;
 
-        const checkData = () => {
+        const checkData = async () => {
             if (attempts === 0 || attempts % 5 === 0) {
                 console.log(`[WL Scraper] Checking for ytInitialData... (attempt ${attempts + 1}/${maxAttempts})`);
             }
 
+            const bridged = await requestBridgePageData();
+            if (bridged?.data?.contents) {
+                console.log('[WL Scraper] Page data received from page bridge');
+                pageData = bridged.data;
+                pageDataStrategy = 'page-bridge';
+                pageDataCapturedAt = bridged.capturedAt ?? Math.floor(performance.timeOrigin);
+                callback();
+                return;
+            }
+
             // Check if ytInitialData exists AND has contents property (indicates it's populated)
-            if (window.ytInitialData && typeof window.ytInitialData === 'object') {
+            if (!hasNavigatedInApp && window.ytInitialData && typeof window.ytInitialData === 'object') {
                 const hasContents = window.ytInitialData.contents;
 
                 console.log('[WL Scraper] ytInitialData found on window!');
@@ -150,6 +349,9 @@
                 console.log('[WL Scraper] Data keys:', Object.keys(window.ytInitialData));
 
                 if (hasContents) {
+                    pageData = window.ytInitialData;
+                    pageDataStrategy = 'window';
+                    pageDataCapturedAt = Math.floor(performance.timeOrigin);
                     callback();
                     return;
                 } else {
@@ -157,13 +359,15 @@
                 }
             }
 
-            // After a few attempts, try extracting from DOM
-            if (attempts > 5) {
+            // After a few attempts, try extracting from DOM (first page load only)
+            if (attempts > 5 && !hasNavigatedInApp) {
                 console.log('[WL Scraper] Attempting to extract from DOM...');
                 const dataFromDOM = extractYtInitialDataFromDOM();
                 if (dataFromDOM && dataFromDOM.contents) {
-                    window.ytInitialData = dataFromDOM;
-                    console.log('[WL Scraper] ytInitialData extracted from DOM and set on window');
+                    pageData = dataFromDOM;
+                    pageDataStrategy = 'script-tag';
+                    pageDataCapturedAt = Math.floor(performance.timeOrigin);
+                    console.log('[WL Scraper] ytInitialData extracted from DOM');
                     callback();
                     return;
                 }
@@ -175,6 +379,12 @@
                 console.log('[WL Scraper] window.ytInitialData type:', typeof window.ytInitialData);
                 console.log('[WL Scraper] window.ytInitialData keys:', window.ytInitialData ? Object.keys(window.ytInitialData) : 'N/A');
                 console.log('[WL Scraper] Available window properties:', Object.keys(window).filter(k => k.toLowerCase().includes('yt')));
+
+                // Let the scrape fall back to the rendered DOM
+                pageData = null;
+                pageDataStrategy = null;
+                pageDataCapturedAt = null;
+                callback();
                 return;
             }
 
@@ -185,48 +395,146 @@
     }
 
     /**
-     * Save scraped data to storage
+     * Fetch the playlist's first page from YouTube as it is now
+     * The page data on screen predates edits made since it loaded, so a
+     * rescrape from it would be older than the cache and rejected
+     * @param {Function} callback - Called once pageData is set
      */
-    async function saveToStorage(videos) {
+    async function refetchPageData(callback) {
+        const capturedAt = Date.now();
+
         try {
-            const data = {
-                videos: videos,
-                timestamp: Date.now(),
-                source: 'scraper'
-            };
-
-            await chrome.storage.local.set({ watchLaterData: data });
-            console.log(`[WL Scraper] Saved ${videos.length} videos to storage`);
-
-            // Notify other parts of extension that data is updated
-            chrome.runtime.sendMessage({
-                type: 'WATCH_LATER_UPDATED',
-                count: videos.length
-            }).catch(() => {
-                // Ignore errors if no listeners
+            const data = await fetchWatchLaterPage(getInnertubeConfig(), await getAuthorization());
+            if (!data?.contents) {
+                throw new Error('Browse response contained no playlist');
+            }
+
+            pageData = data;
+            pageDataStrategy = 'innertube';
+            pageDataCapturedAt = capturedAt;
+            callback();
+        } catch (error) {
+            console.warn('[WL Scraper] Could not fetch the playlist, using page data:', error);
+            waitForYtData(callback);
+        }
+    }
+
+    /**
+     * Merge a continuation page YouTube loaded while the page was scrolled
+     * @param {Object} payload - BROWSE_RESPONSE payload from the page bridge
+     */
+    function handleBrowseResponse(payload) {
+        if (payload.url !== location.href || !lastScrape) {
+            return;
+        }
+
+        const items = getContinuationItems(payload.data);
+        if (!items) {
+            return;
+        }
+
+        const knownIds = new Set(lastScrape.videos.map(v => v.videoId));
+        const added = parsePlaylistItems(items).videos.filter(v => !knownIds.has(v.videoId));
+
+        if (added.length > 0) {
+            console.log(`[WL Scraper] Scrolled-in page added ${added.length} videos`);
+            sendChanges({ added });
+        }
+    }
+
+    /**
+     * Send a full scrape to the background, which owns the cache
+     * @param {{videos: Array, complete: boolean, totalCount: number|null, strategy: string, capturedAt: number}} result - Scrape result
+     */
+    async function saveSnapshot(result) {
+        const accountId = getAccountId();
+        if (!accountId) {
+            console.warn('[WL Scraper] Signed out or account unknown, not saving');
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'SAVE_WATCH_LATER',
+                accountId,
+                snapshot: { ...result, source: 'scraper' }
             });
 
+            if (response?.success) {
+                console.log(`[WL Scraper] Saved ${result.videos.length} videos (revision ${response.revision}, strategy: ${result.strategy})`);
+            } else if (response?.stale) {
+                console.log('[WL Scraper] Snapshot older than the cached list, not saved');
+            } else {
+                console.error('[WL Scraper] Background rejected snapshot:', response?.error);
+            }
         } catch (error) {
-            console.error('[WL Scraper] Error saving to storage:', error);
+            console.error('[WL Scraper] Error saving snapshot:', error);
         }
     }
 
+    /**
+     * Send incremental edits to the background and adopt the resulting list
+     * @param {Object} changes - { removedIds, removedSetVideoIds, added, moves }
+     */
+    async function sendChanges(changes) {
+        const accountId = getAccountId();
+        if (!accountId) {
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'APPLY_WATCH_LATER_CHANGES', accountId, changes });
+
+            if (!response?.success) {
+                console.error('[WL Scraper] Background rejected edit:', response?.error);
+                return;
+            }
+
+            if (response.changed && lastScrape) {
+                console.log(`[WL Scraper] Total videos: ${lastScrape.videos.length} → ${response.videos.length} ` +
+                    `(revision ${response.revision})`);
+                lastScrape = { ...lastScrape, videos: response.videos };
+            }
+        } catch (error) {
+            console.error('[WL Scraper] Error sending edit:', error);
+        }
+    }
+
+    // Pending scrape, shared by overlapping callers
+    let scrapeInProgress = null;
+
+    // Set by setupPlaylistChangeListener(); re-baselines rendered rows after a scrape
+    let reconcileRows = null;
+
     /**
      * Main scraping logic
+     * Follows the continuation chain, so it resolves once every page is in
+     * @returns {Promise<void>}
      */
     function scrapeWatchLater() {
+        // Coalesce overlapping requests (navigation + change detection)
+        if (scrapeInProgress) {
+            return scrapeInProgress;
+        }
+
         console.log('[WL Scraper] Starting scrape...');
 
-        const videos = extractWatchLaterData();
+        scrapeInProgress = (async () => {
+            const result = await scrapeAllPages();
 
-        if (videos && videos.length > 0) {
-            saveToStorage(videos);
-        } else if (videos && videos.length === 0) {
-            // Empty playlist is valid
-            saveToStorage([]);
-        } else {
-            console.error('[WL Scraper] Failed to extract data');
-        }
+            if (result) {
+                // An empty playlist is valid and saved as such
+                lastScrape = result;
+                await saveSnapshot(result);
+                reconcileRows?.();
+            } else {
+                console.error('[WL Scraper] Failed to extract data');
+            }
+        })().finally(() => {
+            scrapeInProgress = null;
+        });
+
+        return scrapeInProgress;
     }
 
     /**
@@ -240,6 +548,8 @@
             const currentUrl = location.href;
             if (currentUrl !== lastUrl) {
                 lastUrl = currentUrl;
+                hasNavigatedInApp = true;
+                pageData = null;
 
                 // Check if we're still on Watch Later page
                 if (currentUrl.includes('list=WL')) {
@@ -256,152 +566,184 @@
     }
 
     /**
-     * Listen for playlist content changes (videos added/removed)
-     * Uses multiple strategies to detect changes
+     * Check if current page is the Watch Later playlist
+     * @returns {boolean}
+     */
+    function isWatchLaterPage() {
+        return location.pathname === '/playlist' &&
+            new URLSearchParams(location.search).get('list') === 'WL';
+    }
+
+    /**
+     * Report a set of detected changes to the background
+     * @param {Object} change
+     * @param {Array<string>} [change.removedIds] - Removed video ids
+     * @param {Array<string>} [change.removedSetVideoIds] - Removed playlist entry ids
+     * @param {Array} [change.added] - New video records, appended in order
+     * @param {Array} [change.moves] - Move actions ({ setVideoId, predecessor } or { setVideoId, successor })
+     */
+    function applyPlaylistChanges({ removedIds = [], removedSetVideoIds = [], added = [], moves = [] }) {
+        if (!lastScrape) {
+            return;
+        }
+
+        if (removedIds.length + removedSetVideoIds.length + added.length + moves.length === 0) {
+            return;
+        }
+
+        console.log(`[WL Scraper] ⚠️ Playlist changed! Added: ${added.length}, ` +
+            `Removed: ${removedIds.length + removedSetVideoIds.length}, Moved: ${moves.length}`);
+
+        sendChanges({ removedIds, removedSetVideoIds, added, moves });
+    }
+
+    /**
+     * Apply a Watch Later edit made on this page (remove, move, add)
+     * @param {Object} payload - PLAYLIST_EDIT payload from the page bridge
+     */
+    function handlePlaylistEdit(payload) {
+        if (!isWatchLaterPage() || payload.playlistId !== 'WL') {
+            return;
+        }
+
+        const change = { removedIds: [], removedSetVideoIds: [], moves: [] };
+        let needsRescrape = false;
+
+        for (const edit of payload.actions) {
+            switch (edit.action) {
+                case 'ACTION_REMOVE_VIDEO':
+                    change.removedSetVideoIds.push(edit.setVideoId);
+                    break;
+                case 'ACTION_REMOVE_VIDEO_BY_VIDEO_ID':
+                    change.removedIds.push(edit.videoId);
+                    break;
+                case 'ACTION_MOVE_VIDEO_AFTER':
+                    change.moves.push({ setVideoId: edit.setVideoId, predecessor: edit.predecessorSetVideoId });
+                    break;
+                case 'ACTION_MOVE_VIDEO_BEFORE':
+                    change.moves.push({ setVideoId: edit.setVideoId, successor: edit.successorSetVideoId });
+                    break;
+                case 'ACTION_ADD_VIDEO':
+                    // The edit carries no metadata for the new entry
+                    needsRescrape = true;
+                    break;
+            }
+        }
+
+        console.log(`[WL Scraper] 🔍 Playlist edit: ${payload.actions.map(a => a.action).join(', ')}`);
+
+        if (needsRescrape) {
+            refetchPageData(scrapeWatchLater);
+        } else {
+            applyPlaylistChanges(change);
+        }
+    }
+
+    /**
+     * Listen for playlist content changes (videos added/removed/moved)
+     * Driven by YouTube's own playlist edit actions (via the page bridge)
+     * and by mutations of the rendered playlist rows. The new list is
+     * computed from what changed instead of re-scraping the page.
      */
     function setupPlaylistChangeListener() {
-        let lastVideoIds = new Set();
+        let renderedIds = new Set();
+        let renderedUrl = null;
         let debounceTimeout = null;
-        let pollInterval = null;
-        let playlistObserver = null;
-
-        const checkAndUpdatePlaylist = () => {
-            // CRITICAL: Only run if we're still on Watch Later page
-            if (!location.href.includes('list=WL')) {
-                console.log('[WL Scraper] Not on Watch Later page anymore, stopping checks');
-                cleanup();
+
+        /**
+         * Diff the rendered rows against the last reconcile
+         * Rows YouTube recycles between items are handled by comparing ids,
+         * not by inspecting the removed nodes themselves
+         */
+        const reconcileRenderedRows = () => {
+            debounceTimeout = null;
+
+            // Wait for the initial scrape before tracking rows
+            if (!isWatchLaterPage() || !lastScrape) {
                 return;
             }
 
-            // Clear existing timeout
-            if (debounceTimeout) {
-                clearTimeout(debounceTimeout);
+            const rows = document.querySelectorAll('ytd-playlist-video-renderer');
+
+            // An empty list mid re-render is not a mass removal
+            if (rows.length === 0) {
+                return;
             }
 
-            // Debounce to avoid excessive re-scraping during rapid changes
-            debounceTimeout = setTimeout(() => {
-                console.log('[WL Scraper] Checking for playlist changes...');
-                const videos = extractWatchLaterData();
+            const knownIds = new Set(lastScrape.videos.map(v => v.videoId));
+            const currentIds = new Set();
+            const addedRows = [];
 
-                if (!videos) {
-                    console.warn('[WL Scraper] Could not extract video data');
-                    return;
+            for (const row of rows) {
+                const videoId = getRowVideoId(row);
+                if (!videoId) {
+                    continue;
                 }
+                currentIds.add(videoId);
+                if (!knownIds.has(videoId)) {
+                    addedRows.push(row);
+                }
+            }
 
-                const currentVideoIds = new Set(videos.map(v => v.videoId));
+            // Start over after navigating back to Watch Later
+            const removedIds = renderedUrl === location.href
+                ? [...renderedIds].filter(id => !currentIds.has(id))
+                : [];
 
-                // Compare with stored data
-                if (lastVideoIds.size > 0) {
-                    const added = [...currentVideoIds].filter(id => !lastVideoIds.has(id));
-                    const removed = [...lastVideoIds].filter(id => !currentVideoIds.has(id));
+            renderedIds = currentIds;
+            renderedUrl = location.href;
 
-                    if (added.length > 0 || removed.length > 0) {
-                        console.log(`[WL Scraper] ⚠️ Playlist changed! Added: ${added.length}, Removed: ${removed.length}`);
-                        console.log(`[WL Scraper] Total videos: ${lastVideoIds.size} → ${currentVideoIds.size}`);
-                        lastVideoIds = currentVideoIds;
-                        scrapeWatchLater();
-                        return;
-                    }
-                }
+            // Unknown rows are pages YouTube loaded that we didn't see
+            // (e.g. a continuation missed by the scrape); they render in order
+            const added = addedRows.map(parseVideoRow).filter(Boolean);
 
-                // Initialize tracking on first check
-                if (lastVideoIds.size === 0) {
-                    lastVideoIds = currentVideoIds;
-                    console.log(`[WL Scraper] Initialized tracking with ${currentVideoIds.size} videos`);
-                }
-            }, 800); // Wait 800ms after last change
-        };
-
-        const cleanup = () => {
-            if (pollInterval) {
-                clearInterval(pollInterval);
-                pollInterval = null;
-            }
-            if (playlistObserver) {
-                playlistObserver.disconnect();
-                playlistObserver = null;
-            }
-            if (debounceTimeout) {
-                clearTimeout(debounceTimeout);
-                debounceTimeout = null;
+            if (removedIds.length > 0 || added.length > 0) {
+                applyPlaylistChanges({ removedIds, added });
             }
-            console.log('[WL Scraper] Change detection cleaned up');
         };
 
-        // Strategy 1: Watch for DOM mutations in playlist area
-        playlistObserver = new MutationObserver((mutations) => {
-            // Guard: only process if still on Watch Later page
-            if (!location.href.includes('list=WL')) {
-                cleanup();
+        const isPlaylistRow = node => node instanceof Element &&
+            (node.tagName === 'YTD-PLAYLIST-VIDEO-RENDERER' || node.querySelector('ytd-playlist-video-renderer'));
+
+        const playlistObserver = new MutationObserver((mutations) => {
+            if (!isWatchLaterPage()) {
                 return;
             }
 
-            const hasRelevantChange = mutations.some(mutation => {
-                // Check for removed nodes (video deleted)
-                if (mutation.removedNodes.length > 0) {
-                    for (let node of mutation.removedNodes) {
-                        if (node instanceof Element &&
-                            (node.tagName === 'YTD-PLAYLIST-VIDEO-RENDERER' ||
-                                node.querySelector('ytd-playlist-video-renderer'))) {
-                            return true;
-                        }
-                    }
-                }
-                // Check for added nodes (video added)
-                if (mutation.addedNodes.length > 0) {
-                    for (let node of mutation.addedNodes) {
-                        if (node instanceof Element &&
-                            (node.tagName === 'YTD-PLAYLIST-VIDEO-RENDERER' ||
-                                node.querySelector('ytd-playlist-video-renderer'))) {
-                            return true;
-                        }
-                    }
-                }
-                return false;
-            });
+            const hasRelevantChange = mutations.some(mutation =>
+                Array.from(mutation.removedNodes).some(isPlaylistRow) ||
+                Array.from(mutation.addedNodes).some(isPlaylistRow));
 
             if (hasRelevantChange) {
-                console.log('[WL Scraper] 🔍 Playlist DOM mutation detected');
-                checkAndUpdatePlaylist();
+                // Debounce to let YouTube finish re-rendering the list
+                if (debounceTimeout) {
+                    clearTimeout(debounceTimeout);
+                }
+                debounceTimeout = setTimeout(reconcileRenderedRows, 800);
             }
         });
 
-        // Strategy 2: Periodic polling as fallback (only while on Watch Later page)
-        pollInterval = setInterval(() => {
-            if (!location.href.includes('list=WL')) {
-                cleanup();
-                return;
-            }
-            checkAndUpdatePlaylist();
-        }, 3000); // Check every 3 seconds
-
-        // Start observing
-        setTimeout(() => {
-            if (!location.href.includes('list=WL')) {
-                console.log('[WL Scraper] Page changed before observer setup, aborting');
-                cleanup();
-                return;
-            }
+        playlistObserver.observe(document.body, {
+            childList: true,
+            subtree: true
+        });
 
-            const contents = document.querySelector('#contents');
-            if (contents) {
-                playlistObserver.observe(contents, {
-                    childList: true,
-                    subtree: true,
-                    attributes: false
-                });
-                console.log('[WL Scraper] ✓ Playlist change detection active (DOM observer + polling)');
-
-                // Do initial check
-                checkAndUpdatePlaylist();
-            } else {
-                console.warn('[WL Scraper] ⚠️ Could not find #contents container, using polling only');
-                checkAndUpdatePlaylist();
+        // Edits YouTube confirmed (remove, drag-to-reorder, add)
+        if (typeof WLIBridge !== 'undefined') {
+            WLIBridge.on('PLAYLIST_EDIT', handlePlaylistEdit);
+        }
+
+        // Each finished scrape re-baselines the rendered rows
+        reconcileRows = reconcileRenderedRows;
+
+        window.addEventListener('beforeunload', () => {
+            playlistObserver.disconnect();
+            if (debounceTimeout) {
+                clearTimeout(debounceTimeout);
             }
-        }, 2000);
+        });
 
-        // Cleanup on navigation away
-        window.addEventListener('beforeunload', cleanup);
+        console.log('[WL Scraper] ✓ Playlist change detection active (edit actions + row mutations)');
     }
 
     /**
@@ -416,15 +758,23 @@
 
         console.log('[WL Scraper] Initializing...');
 
+        // Visiting Watch Later counts as YouTube use for scheduled refreshes
+        chrome.runtime.sendMessage({ type: 'YOUTUBE_ACTIVITY' }).catch(() => { });
+
         // Wait for YouTube data to load, then scrape
         waitForYtData(scrapeWatchLater);
 
         // Setup listener for SPA navigation
         setupNavigationListener();
 
-        // Setup listener for playlist content changes (add/remove videos)
+        // Setup listener for playlist content changes (add/remove/move videos)
         setupPlaylistChangeListener();
 
+        // Pick up continuation pages YouTube loads as the page is scrolled
+        if (typeof WLIBridge !== 'undefined') {
+            WLIBridge.on('BROWSE_RESPONSE', handleBrowseResponse);
+        }
+
         // Listen for manual refresh requests
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             if (message.type === 'REFRESH_WATCH_LATER') {
@@ -435,6 +785,12 @@
         });
     }
 
+    // Exposed to Node for checks (checkWatchLaterScraper.js); init() below
+    // exits there since the page is not Watch Later
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { parseVideoRow };
+    }
+
     // Run when DOM is ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
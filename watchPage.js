@@ -0,0 +1,404 @@
+/**
+ * Watch Page - Content Script
+ * - Records how far videos are watched; the background keeps it (locally,
+ *   per account) for Watch Later videos only, for the shelf's progress bars
+ *   and finished-video setting
+ * - Plays the local queue started by the shelf's "Play all" / "Shuffle"
+ *   buttons when YouTube's WL playlist can't give the shelf's order: when a
+ *   queued video ends, the next one is opened. The queue itself lives in
+ *   the background, per tab.
+ * - Removes videos from Watch Later once watched past the threshold, when
+ *   that setting is on: the background says when, and a toast offers an
+ *   undo for UNDO_GRACE_PERIOD before the removal goes through. A page
+ *   closed before then hands the removal to the background; a queued or
+ *   autoplayed next video waits for it
+ * - Shows the "Next in Watch Later" sidebar panel (upNextPanel.js) and,
+ *   with autoplay on, opens its first video when a Watch Later video ends
+ */
+
+(function () {
+    'use strict';
+
+    const MAIN_VIDEO_SELECTOR = 'video.html5-main-video';
+    const PLAYER_SELECTOR = '#movie_player';
+    const PROGRESS_REPORT_INTERVAL = 10 * 1000; // ms between reports while playing
+    const UNDO_GRACE_PERIOD = 10 * 1000; // ms before an automatic removal goes through
+
+    // { position, length } while the open video is part of a queue
+    let currentQueue = null;
+
+    // When progress was last reported (ms epoch)
+    let lastProgressReport = 0;
+
+    // Between yt-navigate-start and -finish the URL and the player can
+    // describe different videos
+    let navigating = false;
+
+    // { video, timer, settled, settle } while an automatic removal can still
+    // be undone; settled resolves once it is made, undone or handed off
+    let pendingRemoval = null;
+
+    // Videos already offered for removal on this page; an undo sticks
+    const offeredRemovals = new Set();
+
+    // { videoId, videos, inWatchLater, showPanel, autoplay } for the open video
+    let upNext = null;
+
+    // Signed-in account (ytcfg DATASYNC_ID), looked up by loadUpNext() on
+    // load and after each navigation: a report sent while the page goes
+    // away can't wait for the bridge
+    let accountId = null;
+
+    /**
+     * Get the id of the video open on a watch page
+     * @returns {string|null}
+     */
+    function getOpenVideoId() {
+        if (location.pathname !== '/watch') {
+            return null;
+        }
+        return new URLSearchParams(location.search).get('v');
+    }
+
+    /**
+     * Check if a media event comes from the main player, playing the video
+     * rather than an ad
+     * @param {Event} event
+     * @returns {boolean}
+     */
+    function isMainVideoEvent(event) {
+        return !navigating &&
+            event.target instanceof HTMLVideoElement &&
+            event.target.matches(MAIN_VIDEO_SELECTOR) &&
+            !document.querySelector(PLAYER_SELECTOR)?.classList.contains('ad-showing');
+    }
+
+    /**
+     * Look up the signed-in account for later reports
+     * @returns {Promise<string|null>}
+     */
+    async function updateAccountId() {
+        accountId = await WLIBridge.getAccountId();
+        return accountId;
+    }
+
+    /**
+     * Send the open video's playback position to the background
+     * The message goes out before the first await, so it still leaves
+     * from pagehide and visibilitychange handlers
+     * @param {HTMLVideoElement} video - Main player
+     * @param {boolean} ended - Played to the end
+     */
+    async function reportProgress(video, ended) {
+        const videoId = getOpenVideoId();
+        const { currentTime: position, duration } = video;
+        if (!videoId || !accountId || !Number.isFinite(duration) || duration <= 0) {
+            return;
+        }
+
+        lastProgressReport = Date.now();
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'WATCH_PROGRESS',
+                accountId,
+                videoId,
+                position,
+                duration,
+                ended
+            });
+
+            if (response?.autoRemove) {
+                scheduleRemoval(response.autoRemove);
+            }
+        } catch (error) {
+            // Extension reloaded - progress is best effort
+        }
+    }
+
+    /**
+     * Offer to remove a watched video, removing it unless undone in time
+     * @param {Object} video - Cached WatchLaterVideo
+     */
+    function scheduleRemoval(video) {
+        if (offeredRemovals.has(video.videoId) || typeof WLIWatchLaterActions === 'undefined') {
+            return;
+        }
+        offeredRemovals.add(video.videoId);
+
+        // One toast at a time: an earlier pending removal goes through now
+        commitRemoval();
+
+        let settle;
+        const settled = new Promise(resolve => {
+            settle = resolve;
+        });
+        pendingRemoval = { video, timer: setTimeout(commitRemoval, UNDO_GRACE_PERIOD), settled, settle };
+        console.log(`[WLI Watch] Removing ${video.videoId} from Watch Later in ${UNDO_GRACE_PERIOD / 1000}s`);
+
+        WLIToast.show('Watched - removing from Watch Later', {
+            action: { label: 'Undo', run: cancelRemoval },
+            duration: UNDO_GRACE_PERIOD
+        });
+    }
+
+    /**
+     * Keep the pending video in Watch Later
+     */
+    function cancelRemoval() {
+        if (!pendingRemoval) {
+            return;
+        }
+
+        clearTimeout(pendingRemoval.timer);
+        console.log(`[WLI Watch] Kept ${pendingRemoval.video.videoId} in Watch Later`);
+        pendingRemoval.settle();
+        pendingRemoval = null;
+        WLIToast.show('Kept in Watch Later');
+    }
+
+    /**
+     * Remove the pending video now
+     * @returns {Promise<void>}
+     */
+    async function commitRemoval() {
+        if (!pendingRemoval) {
+            return;
+        }
+
+        const { video, timer, settle } = pendingRemoval;
+        clearTimeout(timer);
+        pendingRemoval = null;
+
+        const result = await WLIWatchLaterActions.removeVideo(video);
+        WLIToast.show(result.success ? 'Removed from Watch Later' : "Couldn't remove from Watch Later");
+        settle();
+    }
+
+    /**
+     * Wait for the pending removal, if any, to be made, undone or handed off
+     * @returns {Promise<void>}
+     */
+    function removalSettled() {
+        return pendingRemoval ? pendingRemoval.settled : Promise.resolve();
+    }
+
+    /**
+     * Hand the pending removal to the background as the page goes away
+     * The bridge round trips of a removal don't survive pagehide, so the
+     * background makes it through another YouTube tab, or the next one
+     * opened, with the same account
+     */
+    function handOffRemoval() {
+        if (!pendingRemoval || !accountId) {
+            return;
+        }
+
+        const { video, timer, settle } = pendingRemoval;
+        clearTimeout(timer);
+        pendingRemoval = null;
+        settle();
+
+        chrome.runtime.sendMessage({ type: 'QUEUE_WATCH_LATER_REMOVAL', accountId, video }).catch(() => {
+            // Extension reloaded - the video stays in Watch Later
+        });
+    }
+
+    /**
+     * Report progress every PROGRESS_REPORT_INTERVAL while playing
+     * @param {Event} event - Media 'timeupdate' event
+     */
+    function handleTimeUpdate(event) {
+        if (isMainVideoEvent(event) && Date.now() - lastProgressReport >= PROGRESS_REPORT_INTERVAL) {
+            reportProgress(event.target, false);
+        }
+    }
+
+    /**
+     * Report progress when playback pauses
+     * @param {Event} event - Media 'pause' event
+     */
+    function handlePause(event) {
+        if (isMainVideoEvent(event) && !event.target.ended) {
+            reportProgress(event.target, false);
+        }
+    }
+
+    /**
+     * Ask the background whether the open video belongs to this tab's queue
+     */
+    async function syncQueue() {
+        const videoId = getOpenVideoId();
+        if (!videoId) {
+            currentQueue = null;
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_PLAY_QUEUE', videoId });
+            currentQueue = response?.queue || null;
+
+            if (currentQueue) {
+                console.log(`[WLI Watch] Playing ${currentQueue.position} of ${currentQueue.length} from Watch Later`);
+            }
+        } catch (error) {
+            // Extension reloaded - nothing to advance
+            currentQueue = null;
+        }
+    }
+
+    /**
+     * Load what comes after the open video in Watch Later, and show it in
+     * the sidebar
+     */
+    async function loadUpNext() {
+        const videoId = getOpenVideoId();
+        if (!videoId) {
+            upNext = null;
+            WLIUpNextPanel.remove();
+            return;
+        }
+
+        try {
+            await updateAccountId();
+            const response = accountId
+                ? await chrome.runtime.sendMessage({ type: 'GET_UP_NEXT', accountId, videoId })
+                : null;
+
+            // Navigated away meanwhile
+            if (getOpenVideoId() !== videoId) {
+                return;
+            }
+
+            if (!response?.success) {
+                upNext = null;
+                WLIUpNextPanel.remove();
+                return;
+            }
+
+            const settings = { showPanel: response.showPanel, autoplay: response.autoplay };
+
+            // Once the open video leaves Watch Later (removed when watched,
+            // or finished and hidden), keep its place in the list
+            if (!response.inWatchLater && upNext?.videoId === videoId && upNext.inWatchLater) {
+                upNext = { ...upNext, ...settings };
+            } else {
+                upNext = { videoId, videos: response.videos, inWatchLater: response.inWatchLater, ...settings };
+            }
+
+            if (upNext.showPanel) {
+                WLIUpNextPanel.render(upNext.videos, upNext.autoplay && upNext.inWatchLater);
+            } else {
+                WLIUpNextPanel.remove();
+            }
+        } catch (error) {
+            // Extension reloaded - no panel
+        }
+    }
+
+    /**
+     * Get the Watch Later video to autoplay after the open one
+     * Videos opened from a playlist are left to YouTube's own playlist
+     * @returns {string|null} Watch URL
+     */
+    function getAutoplayUrl() {
+        const videoId = getOpenVideoId();
+        if (!upNext?.autoplay || !upNext.inWatchLater || upNext.videoId !== videoId ||
+            new URLSearchParams(location.search).has('list')) {
+            return null;
+        }
+
+        const next = upNext.videos[0];
+        return next ? WLIPlaylistParser.getWatchUrl(next.videoId) : null;
+    }
+
+    /**
+     * Record the finished video, then open the next queued one, or the next
+     * in Watch Later when autoplay is on
+     * @param {Event} event - Media 'ended' event
+     */
+    async function handleEnded(event) {
+        // Ads play in the same element
+        if (!isMainVideoEvent(event)) {
+            return;
+        }
+
+        const endedVideoId = getOpenVideoId();
+        await reportProgress(event.target, true);
+
+        // Opening the next video unloads this page, so the undo window for
+        // the video that just ended runs out first
+        await removalSettled();
+        if (navigating || getOpenVideoId() !== endedVideoId || !event.target.ended) {
+            // The user moved on or replayed the video meanwhile
+            return;
+        }
+
+        if (!currentQueue) {
+            const url = getAutoplayUrl();
+            if (url) {
+                console.log('[WLI Watch] Autoplaying next in Watch Later');
+                location.assign(url);
+            }
+            return;
+        }
+
+        const response = await chrome.runtime.sendMessage({
+            type: 'PLAY_QUEUE_NEXT',
+            videoId: getOpenVideoId()
+        }).catch(() => null);
+
+        if (response?.url) {
+            location.assign(response.url);
+        } else {
+            currentQueue = null;
+        }
+    }
+
+    // Media events don't bubble; capture them on the way down
+    document.addEventListener('timeupdate', handleTimeUpdate, true);
+    document.addEventListener('pause', handlePause, true);
+    document.addEventListener('ended', handleEnded, true);
+
+    /**
+     * Report the open video's position if it is playing, before it goes away
+     */
+    function reportPlayingVideo() {
+        const video = document.querySelector(MAIN_VIDEO_SELECTOR);
+        if (!navigating && video && !video.paused && !video.ended) {
+            reportProgress(video, false);
+        }
+    }
+
+    // Closing or leaving the tab mid-video. A hidden tab may be discarded
+    // without a pagehide, so switching away reports too
+    window.addEventListener('pagehide', () => {
+        reportPlayingVideo();
+        handOffRemoval();
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            reportPlayingVideo();
+        }
+    });
+
+    // In-app navigation between videos keeps this script alive
+    document.addEventListener('yt-navigate-start', () => {
+        reportPlayingVideo();
+        navigating = true;
+    });
+    document.addEventListener('yt-navigate-finish', () => {
+        navigating = false;
+        syncQueue();
+        loadUpNext();
+    });
+    syncQueue();
+    loadUpNext();
+
+    // The list or its settings changed
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message.type === 'DATA_REFRESHED' || message.type === 'SETTINGS_UPDATED') {
+            loadUpNext();
+        }
+    });
+})();